@@ -1,12 +1,31 @@
 #!/usr/bin/env node
 
-import { keccak256, toHex, createPublicClient, http, formatUnits } from "viem";
+import {
+  keccak256,
+  toHex,
+  createPublicClient,
+  http,
+  formatUnits,
+  encodeFunctionData,
+  decodeFunctionData,
+  getAddress,
+  createWalletClient,
+  BaseError,
+  ContractFunctionRevertedError,
+  ContractFunctionZeroDataError,
+  ExecutionRevertedError,
+} from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { normalize } from "viem/ens";
 import { mainnet } from "viem/chains";
+import * as viemChains from "viem/chains";
 import {
   HypersyncClient,
   LogField,
   JoinMode,
   TransactionField,
+  BlockField,
+  TraceField,
   Decoder,
 } from "@envio-dev/hypersync-client";
 import chalk from "chalk";
@@ -17,6 +36,9 @@ import readline from "readline";
 import boxen from "boxen";
 import fs from "fs";
 import path from "path";
+import os from "os";
+import crypto from "crypto";
+import { exec } from "child_process";
 import Table from "cli-table3";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
@@ -90,6 +112,24 @@ networkData.forEach((chain) => {
   chainNameToData[chain.name] = chain;
 });
 
+// Confirmation depths by chain ID, the source for each chain's `confirmations`
+// in SUPPORTED_CHAINS: blocks newer than this may still be reorged. Rollups get
+// about five minutes of sequencer blocks. Other chains use the default.
+const DEFAULT_CONFIRMATION_DEPTH = 64;
+const CHAIN_CONFIRMATIONS = {
+  1: 64, // Ethereum, two epochs
+  10: 150, // Optimism, 2s blocks
+  56: 15, // BNB Chain
+  100: 20, // Gnosis
+  130: 300, // Unichain, 1s blocks
+  137: 256, // Polygon
+  8453: 150, // Base, 2s blocks
+  42161: 1200, // Arbitrum, 0.25s blocks
+  43114: 1, // Avalanche, instant finality
+};
+const confirmationDepth = (chainId) =>
+  CHAIN_CONFIRMATIONS[chainId] ?? DEFAULT_CONFIRMATION_DEPTH;
+
 // Create dynamic SUPPORTED_CHAINS object with colors
 const SUPPORTED_CHAINS = {};
 
@@ -108,6 +148,7 @@ networkData.forEach((chain, index) => {
       name: displayName,
       color: color,
       hypersyncUrl: `http://${chain.chain_id}.hypersync.xyz`,
+      confirmations: confirmationDepth(chain.chain_id),
     };
   }
 });
@@ -130,42 +171,63 @@ if (Object.keys(SUPPORTED_CHAINS).length === 0) {
       name: "Ethereum",
       color: "cyan",
       hypersyncUrl: "http://1.hypersync.xyz",
+      confirmations: confirmationDepth(1),
     },
     10: {
       name: "Optimism",
       color: "redBright",
       hypersyncUrl: "http://10.hypersync.xyz",
+      confirmations: confirmationDepth(10),
     },
     137: {
       name: "Polygon",
       color: "magenta",
       hypersyncUrl: "http://137.hypersync.xyz",
+      confirmations: confirmationDepth(137),
     },
     42161: {
       name: "Arbitrum",
       color: "blue",
       hypersyncUrl: "http://42161.hypersync.xyz",
+      confirmations: confirmationDepth(42161),
     },
     8453: {
       name: "Base",
       color: "greenBright",
       hypersyncUrl: "http://8453.hypersync.xyz",
+      confirmations: confirmationDepth(8453),
     },
     100: {
       name: "Gnosis",
       color: "green",
       hypersyncUrl: "http://100.hypersync.xyz",
+      confirmations: confirmationDepth(100),
     },
     43114: {
       name: "Avalanche",
       color: "red",
       hypersyncUrl: "http://43114.hypersync.xyz",
+      confirmations: confirmationDepth(43114),
     },
   };
 
   Object.assign(SUPPORTED_CHAINS, fallbackChains);
 }
 
+// Block explorer base URLs and native currency symbols by chain ID, taken from
+// viem's chain registry
+const BLOCK_EXPLORERS = {};
+const NATIVE_SYMBOLS = {};
+Object.values(viemChains).forEach((chain) => {
+  const explorerUrl = chain?.blockExplorers?.default?.url;
+  if (chain?.id && explorerUrl && !BLOCK_EXPLORERS[chain.id]) {
+    BLOCK_EXPLORERS[chain.id] = explorerUrl.replace(/\/$/, "");
+  }
+  if (chain?.id && chain.nativeCurrency && !NATIVE_SYMBOLS[chain.id]) {
+    NATIVE_SYMBOLS[chain.id] = chain.nativeCurrency.symbol;
+  }
+});
+
 // Get default chain IDs string
 const DEFAULT_CHAIN_IDS = Object.keys(SUPPORTED_CHAINS).join(",");
 
@@ -201,18 +263,129 @@ const ERC20_ABI = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    constant: true,
+    inputs: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+    ],
+    name: "allowance",
+    outputs: [{ name: "", type: "uint256" }],
+    payable: false,
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    constant: true,
+    inputs: [{ name: "owner", type: "address" }],
+    name: "balanceOf",
+    outputs: [{ name: "", type: "uint256" }],
+    payable: false,
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    constant: false,
+    inputs: [
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+    ],
+    name: "approve",
+    outputs: [{ name: "", type: "bool" }],
+    payable: false,
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    constant: false,
+    inputs: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+    ],
+    name: "transferFrom",
+    outputs: [{ name: "", type: "bool" }],
+    payable: false,
+    stateMutability: "nonpayable",
+    type: "function",
+  },
 ];
 
-// Fetch token metadata from a list of RPCs with improved retry logic
-async function fetchTokenMetadata(tokenAddress, chainId = 1) {
-  // Check cache first
-  const cacheKey = `${chainId}:${tokenAddress}`;
-  if (tokenMetadataCache.has(cacheKey)) {
-    return tokenMetadataCache.get(cacheKey);
-  }
+// ERC721/ERC1155 ABI for revoking NFT approvals
+const NFT_ABI = [
+  {
+    inputs: [
+      { name: "to", type: "address" },
+      { name: "tokenId", type: "uint256" },
+    ],
+    name: "approve",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "operator", type: "address" },
+      { name: "approved", type: "bool" },
+    ],
+    name: "setApprovalForAll",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "owner", type: "address" },
+      { name: "operator", type: "address" },
+    ],
+    name: "isApprovedForAll",
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "tokenId", type: "uint256" }],
+    name: "getApproved",
+    outputs: [{ name: "", type: "address" }],
+    stateMutability: "view",
+    type: "function",
+  },
+];
 
-  // Get RPC URLs for the chain
-  let rpcUrls = [];
+// Permit2 ABI for reading AllowanceTransfer allowances
+const PERMIT2_ABI = [
+  {
+    inputs: [
+      { name: "user", type: "address" },
+      { name: "token", type: "address" },
+      { name: "spender", type: "address" },
+    ],
+    name: "allowance",
+    outputs: [
+      { name: "amount", type: "uint160" },
+      { name: "expiration", type: "uint48" },
+      { name: "nonce", type: "uint48" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "token", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "amount", type: "uint160" },
+      { name: "expiration", type: "uint48" },
+    ],
+    name: "approve",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+];
+
+// Collect the HTTP(S) RPC URLs known for a chain
+function getRpcUrls(chainId) {
+  const rpcUrls = [];
   if (extraRpcs[chainId]) {
     extraRpcs[chainId].rpcs.forEach((rpc) => {
       if (typeof rpc === "string") {
@@ -222,6 +395,294 @@ async function fetchTokenMetadata(tokenAddress, chainId = 1) {
       }
     });
   }
+  return rpcUrls;
+}
+
+// Create a viem client for a single RPC URL
+function createRpcClient(rpcUrl) {
+  return createPublicClient({
+    chain: mainnet, // This is just for typing, we'll override with custom endpoint
+    transport: http(rpcUrl, {
+      timeout: 3000, // 3 second timeout for RPC calls
+      fetchOptions: {
+        headers: {
+          "Content-Type": "application/json",
+        },
+      },
+    }),
+  });
+}
+
+// Read a contract through the chain's RPC pool, trying each RPC until one answers
+async function readContractWithFallback(chainId, request) {
+  return withRpcFallback(chainId, (client) =>
+    client.readContract({
+      ...atScanCutoff(chainId),
+      ...request,
+    })
+  );
+}
+
+// Run an RPC request against the chain's RPCs in turn until one answers
+async function withRpcFallback(chainId, request) {
+  // Shuffle RPC URLs to avoid always hitting the same one first
+  const rpcUrls = shuffleArray(getRpcUrls(chainId));
+
+  let lastError = new Error(`No RPCs available for chain ${chainId}`);
+  let retryCount = 0;
+
+  for (const rpcUrl of rpcUrls) {
+    if (rpcUrl.startsWith("wss://")) continue; // Skip WebSocket RPCs for now
+
+    try {
+      // Add a small delay between retries with exponential backoff
+      if (retryCount > 0) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, Math.min(200 * Math.pow(1.5, retryCount), 2000))
+        );
+      }
+      retryCount++;
+
+      return await request(createRpcClient(rpcUrl));
+    } catch (error) {
+      // A revert gives the same answer on every RPC, so don't try the others
+      if (isExecutionError(error)) throw error;
+      lastError = error;
+      // Continue to the next RPC if this one fails
+    }
+  }
+
+  throw lastError;
+}
+
+// Whether an RPC error came from the contract call itself (a revert, or no
+// code to call) rather than from the transport or the RPC
+const isExecutionError = (error) =>
+  error instanceof BaseError &&
+  Boolean(
+    error.walk(
+      (cause) =>
+        cause instanceof ContractFunctionRevertedError ||
+        cause instanceof ContractFunctionZeroDataError ||
+        cause instanceof ExecutionRevertedError
+    )
+  );
+
+// Read contracts at the historical cut-off block when there is one
+const atScanCutoff = (chainId) =>
+  chainStats[chainId]?.cutoffBlock !== undefined
+    ? { blockNumber: BigInt(chainStats[chainId].cutoffBlock) }
+    : {};
+
+// Unix time approvals are judged at: the cut-off block's time or now
+const scanTimeSeconds = (chainId) =>
+  chainStats[chainId]?.cutoffTimestamp ?? Math.floor(Date.now() / 1000);
+
+// Block times by chainId:blockNumber, for approval ages
+const blockTimestampCache = new Map();
+
+// Hypersync clients by chainId for block lookups outside a scan
+const blockLookupClients = new Map();
+
+// Fetch a block's unix timestamp from Hypersync, or null if it isn't available.
+// Only needed for approvals from checkpoints saved before times were recorded
+async function fetchBlockTimestamp(chainId, blockNumber) {
+  const cacheKey = `${chainId}:${blockNumber}`;
+  if (!blockTimestampCache.has(cacheKey)) {
+    let timestamp = null;
+    try {
+      if (!blockLookupClients.has(chainId)) {
+        blockLookupClients.set(
+          chainId,
+          HypersyncClient.new({
+            url:
+              SUPPORTED_CHAINS[chainId]?.hypersyncUrl ||
+              `http://${chainId}.hypersync.xyz`,
+          })
+        );
+      }
+      const client = blockLookupClients.get(chainId);
+      timestamp = (await fetchBlockHeader(client, blockNumber))?.timestamp;
+    } catch (error) {
+      // Shown as an unknown age
+    }
+    blockTimestampCache.set(cacheKey, timestamp ?? null);
+  }
+  return blockTimestampCache.get(cacheKey);
+}
+
+// Record when each approval was granted and last spent (unix seconds, or null if
+// unknown or never) and whether it is dormant. Token approvals take the times from
+// their history, the others from the grant time kept with them; blocks without a
+// recorded time are looked up.
+async function fetchApprovalTimes(approvals) {
+  await mapInBatches(approvals, async (approval) => {
+    const newestFirst = [...(approval.history || [])].reverse();
+    const grant = newestFirst.find(
+      (event) =>
+        event.type === "approval" && event.blockNumber === approval.blockNumber
+    );
+    const lastSpend = newestFirst.find((event) => event.type === "spend");
+
+    approval.grantedAt =
+      grant?.timestamp ??
+      approval.grantedAt ??
+      (await fetchBlockTimestamp(approval.chainId, approval.blockNumber));
+    approval.lastUsedAt = lastSpend
+      ? lastSpend.timestamp ??
+        (await fetchBlockTimestamp(approval.chainId, lastSpend.blockNumber))
+      : null;
+    approval.isDormant = isDormantApproval(approval);
+  });
+}
+
+// An open token approval is dormant when its last spend, or its grant if it was
+// never used, is more than --dormant-days before the scan time. Other approvals
+// record no spends, so their use is unknown and they are never dormant.
+function isDormantApproval(approval) {
+  const lastActivity = approval.lastUsedAt ?? approval.grantedAt;
+  if (
+    approval.approvalType !== "erc20" ||
+    !isActiveApproval(approval) ||
+    lastActivity === null
+  ) {
+    return false;
+  }
+
+  return (
+    scanTimeSeconds(approval.chainId) - lastActivity >
+    DORMANT_DAYS * SECONDS_PER_DAY
+  );
+}
+
+// Code prefix of an EIP-7702 delegation designator: 0xef0100 ++ delegate address
+const EIP7702_DELEGATION_PREFIX = "0xef0100";
+
+// Readable names for spender kinds
+const SPENDER_KIND_LABELS = {
+  contract: "Contract",
+  eoa: "EOA (wallet)",
+  eip7702: "EIP-7702 delegated EOA",
+  destroyed: "Self-destructed contract",
+  unverified: "No code (EOA, or a contract destroyed since; unverified)",
+};
+
+// Spender kinds by chainId:spender, and for spenders without code by
+// chainId:spender:blockNumber (whether they had code when approved)
+const spenderKindCache = new Map();
+
+// Chains whose RPCs don't keep old state, so the destroyed check is skipped
+const chainsWithoutArchive = new Set();
+
+// RPCs tried for one old-state read before giving up on it
+const ARCHIVE_READ_ATTEMPTS = 3;
+
+// Tell what kind of account a spender is from its code: "contract", "eoa",
+// "eip7702" (an EOA delegated to contract code), "destroyed" (a contract that
+// had code at the approval block but has none now) or "unverified" (no code now,
+// and its code at the approval block couldn't be read). Null if no RPC answered.
+async function fetchSpenderKind(chainId, spender, blockNumber) {
+  const cacheKey = `${chainId}:${spender}`;
+  if (!spenderKindCache.has(cacheKey)) {
+    let kind = null;
+    try {
+      const code = await withRpcFallback(chainId, (client) =>
+        client.getCode({ address: spender, ...atScanCutoff(chainId) })
+      );
+      if (code && code !== "0x") {
+        kind =
+          code.length === 48 &&
+          code.toLowerCase().startsWith(EIP7702_DELEGATION_PREFIX)
+            ? "eip7702"
+            : "contract";
+      } else {
+        kind = "eoa";
+      }
+    } catch (error) {
+      // Shown as an unknown kind
+    }
+    spenderKindCache.set(cacheKey, kind);
+  }
+
+  const kind = spenderKindCache.get(cacheKey);
+  if (kind !== "eoa") return kind;
+
+  // No code now: a self-destructed contract still had code when approved
+  const pastKey = `${cacheKey}:${blockNumber}`;
+  if (!spenderKindCache.has(pastKey)) {
+    const hadCode = await hadCodeAtBlock(chainId, spender, blockNumber);
+    spenderKindCache.set(
+      pastKey,
+      hadCode === null ? "unverified" : hadCode ? "destroyed" : "eoa"
+    );
+  }
+  return spenderKindCache.get(pastKey);
+}
+
+// Whether an address had code at a past block, or null if that couldn't be read.
+// Old state needs an archive RPC, so this tries a few RPCs once each. When all of
+// them say the state is gone, the chain is taken to have no archive access.
+async function hadCodeAtBlock(chainId, address, blockNumber) {
+  if (chainsWithoutArchive.has(chainId)) return null;
+
+  const rpcUrls = shuffleArray(getRpcUrls(chainId))
+    .filter((url) => !url.startsWith("wss://"))
+    .slice(0, ARCHIVE_READ_ATTEMPTS);
+  let allMissingState = rpcUrls.length > 0;
+
+  for (const rpcUrl of rpcUrls) {
+    try {
+      const code = await createRpcClient(rpcUrl).getCode({
+        address,
+        blockNumber: BigInt(blockNumber),
+      });
+      return Boolean(code && code !== "0x");
+    } catch (error) {
+      if (!isMissingStateError(error)) allMissingState = false;
+    }
+  }
+
+  if (allMissingState) chainsWithoutArchive.add(chainId);
+  return null;
+}
+
+// Whether an RPC error says the node no longer has the requested block's state
+const isMissingStateError = (error) =>
+  /missing trie node|header not found|state (is )?(not available|unavailable|pruned)|historical state|state histories|pruned|archive/i.test(
+    error?.message || ""
+  );
+
+// Classify the spender of each approval (approval.spenderKind)
+async function classifySpenders(approvals) {
+  await mapInBatches(approvals, async (approval) => {
+    approval.spenderKind = await fetchSpenderKind(
+      approval.chainId,
+      approval.spender,
+      approval.blockNumber
+    );
+  });
+}
+
+// Whole days from a unix time to the scan time, e.g. "412 days ago"
+const formatAge = (timestamp, chainId) => {
+  if (timestamp === null || timestamp === undefined) return "-";
+  const days = Math.floor(
+    (scanTimeSeconds(chainId) - timestamp) / SECONDS_PER_DAY
+  );
+  if (days <= 0) return "today";
+  return days === 1 ? "1 day ago" : `${days} days ago`;
+};
+
+// Fetch token metadata from a list of RPCs with improved retry logic
+async function fetchTokenMetadata(tokenAddress, chainId = 1) {
+  // Check cache first
+  const cacheKey = `${chainId}:${tokenAddress}`;
+  if (tokenMetadataCache.has(cacheKey)) {
+    return tokenMetadataCache.get(cacheKey);
+  }
+
+  // Get RPC URLs for the chain
+  let rpcUrls = getRpcUrls(chainId);
 
   // If no RPCs available, return default values
   if (rpcUrls.length === 0) {
@@ -254,17 +715,7 @@ async function fetchTokenMetadata(tokenAddress, chainId = 1) {
       retryCount++;
 
       // Create a viem client with timeout
-      const client = createPublicClient({
-        chain: mainnet, // This is just for typing, we'll override with custom endpoint
-        transport: http(rpcUrl, {
-          timeout: 3000, // 3 second timeout for RPC calls
-          fetchOptions: {
-            headers: {
-              "Content-Type": "application/json",
-            },
-          },
-        }),
-      });
+      const client = createRpcClient(rpcUrl);
 
       // Fetch token metadata (name, symbol, decimals) in parallel
       const [name, symbol, decimals] = await Promise.all([
@@ -332,75 +783,720 @@ async function fetchTokenMetadata(tokenAddress, chainId = 1) {
   return defaultMetadata;
 }
 
-// Utility to shuffle array (for randomizing RPC order)
-function shuffleArray(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+// Number of RPC reads to run at once
+const RPC_BATCH_SIZE = 8;
+
+// Run an async function over items, a batch at a time
+async function mapInBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += RPC_BATCH_SIZE) {
+    results.push(
+      ...(await Promise.all(items.slice(i, i + RPC_BATCH_SIZE).map(fn)))
+    );
   }
-  return array;
+  return results;
 }
 
-// Format token amounts with proper decimals
-function formatTokenAmount(amount, decimals) {
-  if (!amount) return "0";
+// Open approvals, and used-up ones whose event accounting may have gone wrong
+const isVerificationCandidate = (approval) =>
+  isActiveApproval(approval) || approval.status === "consumed";
+
+// Check every ERC20 and Permit2 allowance against the chain's allowance() value
+async function verifyAllowances(approvals) {
+  const verifiable = approvals.filter(
+    (approval) =>
+      approval.approvalType === "erc20" || approval.approvalType === "permit2"
+  );
+
+  await mapInBatches(verifiable, verifyAllowance);
+}
+
+// Act on the verified allowances: reopen used-up approvals the chain still has an
+// allowance for, drop open ones it reports as zero, and keep closed ones only in
+// history mode
+function applyLiveAllowances(approvals) {
+  return approvals.filter((approval) => {
+    if (approval.status === "consumed" && approval.liveAllowance > BigInt(0)) {
+      approval.status = "active";
+      delete approval.closedBy;
+    }
+
+    return isActiveApproval(approval)
+      ? approval.liveAllowance !== BigInt(0)
+      : options.history;
+  });
+}
+
+// Record the live allowance on an approval and use it as its remaining amount
+async function verifyAllowance(approval) {
+  approval.eventAllowance = approval.remainingApproval;
+  approval.liveAllowance = null;
+  approval.allowanceMismatch = false;
 
   try {
-    return formatUnits(amount, decimals);
+    let liveAllowance;
+
+    if (approval.approvalType === "permit2") {
+      const [amount, expiration, nonce] = await readContractWithFallback(
+        approval.chainId,
+        {
+          address: PERMIT2_ADDRESS,
+          abi: PERMIT2_ABI,
+          functionName: "allowance",
+          args: [approval.owner, approval.tokenAddress, approval.spender],
+        }
+      );
+
+      approval.expiration = Number(expiration);
+      approval.nonce = Number(nonce);
+
+      // An expired Permit2 allowance can no longer be spent
+      liveAllowance =
+        approval.expiration > scanTimeSeconds(approval.chainId)
+          ? amount
+          : BigInt(0);
+    } else {
+      liveAllowance = await readContractWithFallback(approval.chainId, {
+        address: approval.tokenAddress,
+        abi: ERC20_ABI,
+        functionName: "allowance",
+        args: [approval.owner, approval.spender],
+      });
+    }
+
+    approval.liveAllowance = liveAllowance;
+    approval.allowanceMismatch = liveAllowance !== approval.eventAllowance;
+
+    // Act on the live value from here on
+    approval.remainingApproval = liveAllowance;
+    approval.isUnlimited =
+      approval.approvalType === "permit2"
+        ? liveAllowance === MAX_UINT160
+        : isEffectivelyUnlimited(liveAllowance);
   } catch (error) {
-    return amount.toString();
+    // Keep the event-derived value if no RPC could answer
   }
 }
 
-// Global variables for interactive mode
-let approvalsList = [];
-let selectedApprovalIndex = 0;
-let currentPage = 0;
-const PAGE_SIZE = 8; // Number of approvals to show per page
+// Load a file with one address per line (allowlist, addresses to scan); # starts a comment
+function loadAddressFile(filePath) {
+  const addresses = new Set();
 
-// Group approvals by token for better display
-let groupedApprovals = {};
+  fs.readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const address = line.replace(/#.*/, "").trim().toLowerCase();
+      if (!address) return;
 
-// Scanning stats to preserve after completion
-let chainStats = {};
+      if (!/^0x[0-9a-f]{40}$/.test(address)) {
+        throw new Error(`Invalid address on line ${index + 1}: ${address}`);
+      }
+      addresses.add(address);
+    });
 
-// Create global readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: true,
-});
+  return addresses;
+}
 
-// CLI setup - note the change to use DEFAULT_CHAIN_IDS
-const program = new Command();
-program
-  .name("snubb")
-  .description("Terminal UI for finding and revoking Ethereum token approvals")
-  .version("1.0.0")
-  .option("-a, --address <address>", "Ethereum address to check approvals for")
-  .option(
-    "-c, --chains <chainIds>",
-    "Comma-separated chain IDs or 'many-networks' to scan multiple networks (default: 1 - Ethereum only)",
-    "1"
-  )
-  .option(
-    "--list-chains",
-    "Display a list of all supported chains from networkCache.json"
-  )
-  .parse(process.argv);
+// Load an address book with one "label address" pair per line; # starts a comment
+function loadAddressBook(filePath) {
+  const book = new Map();
 
-const options = program.opts();
+  fs.readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const entry = line.replace(/#.*/, "").trim();
+      if (!entry) return;
 
-// Check if user wants to list all supported chains
-if (options.listChains) {
-  console.log(
-    chalk.bold.cyan(figlet.textSync("Supported Chains", { font: "Small" }))
-  );
-  console.log(
-    chalk.bold.cyan("List of all supported chains from networkCache.json\n")
-  );
+      // Accept whitespace, comma or = between the label and the address
+      const [label, address, ...rest] = entry.split(/[\s,=]+/);
+      if (!/^0x[0-9a-fA-F]{40}$/.test(address || "") || rest.length > 0) {
+        throw new Error(`Invalid entry on line ${index + 1}: ${entry}`);
+      }
+      book.set(label.toLowerCase(), { label, address: address.toLowerCase() });
+    });
 
-  // Create a table for better display
+  return book;
+}
+
+// Resolve an ENS name through the Ethereum RPCs, trying each until one answers.
+// Returns null if the name has no address.
+async function resolveEnsName(name) {
+  const normalizedName = normalize(name);
+  const rpcUrls = shuffleArray(getRpcUrls(1));
+
+  let lastError = new Error("No Ethereum RPCs available to resolve ENS names");
+  for (const rpcUrl of rpcUrls) {
+    if (rpcUrl.startsWith("wss://")) continue; // Skip WebSocket RPCs for now
+
+    try {
+      return await createRpcClient(rpcUrl).getEnsAddress({
+        name: normalizedName,
+      });
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+// Turn an --address value (hex address, address book label or ENS name) into
+// { address, name }, where name is the label or ENS name it was given as
+async function resolveAddressInput(input) {
+  const hex = /^0x/i.test(input) ? input : `0x${input}`;
+  if (/^0x[0-9a-fA-F]{40}$/.test(hex)) {
+    return { address: hex.toLowerCase(), name: null };
+  }
+
+  const entry = addressBook.get(input.toLowerCase());
+  if (entry) {
+    return { address: entry.address, name: entry.label };
+  }
+
+  if (input.includes(".")) {
+    let address;
+    try {
+      address = await resolveEnsName(input);
+    } catch (error) {
+      throw new Error(
+        `Could not resolve ENS name ${input}: ${
+          error.shortMessage || error.message
+        }`
+      );
+    }
+    if (!address) {
+      throw new Error(`ENS name ${input} does not resolve to an address`);
+    }
+    return { address: address.toLowerCase(), name: input };
+  }
+
+  throw new Error(
+    `'${input}' is not an address, an address book label or an ENS name`
+  );
+}
+
+// An address followed by its ENS name or address book label, if it has one
+const formatAddressWithName = (address) => {
+  const name = addressNames.get(address);
+  return name ? `${address} (${name})` : address;
+};
+
+// Decrypt a Web3 Secret Storage (v3) keystore and return its private key
+function decryptKeystore(keystore, password) {
+  const params = keystore.crypto || keystore.Crypto;
+  if (!params) throw new Error("Not a v3 keystore file");
+
+  const { kdf, kdfparams } = params;
+  const salt = Buffer.from(kdfparams.salt, "hex");
+  let derivedKey;
+  if (kdf === "scrypt") {
+    const { n, r, p, dklen } = kdfparams;
+    derivedKey = crypto.scryptSync(password, salt, dklen, {
+      N: n,
+      r,
+      p,
+      maxmem: 256 * n * r,
+    });
+  } else if (kdf === "pbkdf2" && kdfparams.prf === "hmac-sha256") {
+    derivedKey = crypto.pbkdf2Sync(
+      password,
+      salt,
+      kdfparams.c,
+      kdfparams.dklen,
+      "sha256"
+    );
+  } else {
+    throw new Error(`Unsupported keystore kdf '${kdf}'`);
+  }
+
+  // The MAC proves the password before we try to decrypt
+  const ciphertext = Buffer.from(params.ciphertext, "hex");
+  const mac = keccak256(
+    Buffer.concat([derivedKey.subarray(16, 32), ciphertext])
+  );
+  if (mac.slice(2) !== params.mac.toLowerCase()) {
+    throw new Error("Wrong keystore password");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    params.cipher,
+    derivedKey.subarray(0, 16),
+    Buffer.from(params.cipherparams.iv, "hex")
+  );
+  const privateKey = Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]);
+  return `0x${privateKey.toString("hex")}`;
+}
+
+// Load the signing account for the revoke command from an env var or keystore
+function loadRevokeAccount() {
+  if (options.privateKeyEnv) {
+    const privateKey = process.env[options.privateKeyEnv];
+    if (!privateKey) {
+      throw new Error(
+        `Environment variable ${options.privateKeyEnv} is not set`
+      );
+    }
+    return privateKeyToAccount(
+      privateKey.startsWith("0x") ? privateKey : `0x${privateKey}`
+    );
+  }
+
+  const password = process.env.SNUBB_KEYSTORE_PASSWORD;
+  if (password === undefined) {
+    throw new Error("Set SNUBB_KEYSTORE_PASSWORD to unlock the keystore");
+  }
+  const keystore = JSON.parse(fs.readFileSync(options.keystore, "utf8"));
+  return privateKeyToAccount(decryptKeystore(keystore, password));
+}
+
+// Load a JSON or CSV price file keyed by chainId:tokenAddress
+function loadPriceFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const entries = [];
+
+  if (filePath.toLowerCase().endsWith(".json")) {
+    // Accept either a bare number or an object with a usd field
+    for (const [key, value] of Object.entries(JSON.parse(content))) {
+      entries.push([key, typeof value === "object" ? value?.usd : value]);
+    }
+  } else {
+    for (const line of content.split(/\r?\n/)) {
+      const [key, value] = line
+        .split(",")
+        .map((cell) => cell.trim().replace(/^"|"$/g, ""));
+      entries.push([key, value]);
+    }
+  }
+
+  const prices = new Map();
+  for (const [key, value] of entries) {
+    const [chainId, tokenAddress] = (key || "").split(":");
+    const price = Number(value);
+
+    // Skip header rows, blank lines and anything that isn't a number
+    if (!tokenAddress || value === undefined || value === null) continue;
+    if (value === "" || !Number.isFinite(price)) continue;
+
+    prices.set(`${parseInt(chainId)}:${tokenAddress.toLowerCase()}`, price);
+  }
+
+  return prices;
+}
+
+// USD value of an approval's at-risk amount, or null when it can't be priced
+function getUsdValue(approval) {
+  const price = tokenPrices.get(`${approval.chainId}:${approval.tokenAddress}`);
+  if (price === undefined) return null;
+  if (approval.atRisk === null || approval.atRisk === undefined) return null;
+
+  return getAtRiskUnits(approval) * price;
+}
+
+// Count each owner's approvals and unlimited approvals, in the order the addresses were given
+function summarizeOwners() {
+  return TARGET_ADDRESSES.map((owner) => {
+    const ownerApprovals = approvalsList.filter(
+      (approval) => approval.owner === owner && isActiveApproval(approval)
+    );
+    return {
+      owner,
+      name: addressNames.get(owner) || null,
+      approvalsCount: ownerApprovals.length,
+      unlimitedCount: ownerApprovals.filter(
+        (approval) =>
+          approval.isUnlimited ||
+          isEffectivelyUnlimited(approval.remainingApproval)
+      ).length,
+    };
+  });
+}
+
+// Exposure of a chain or owner with no priced approvals
+const EMPTY_USD_EXPOSURE = { usd: 0, unpriced: 0, balanceUnknown: 0 };
+
+// Sum USD exposure per chain, per owner and overall. Each owner's token is counted once
+// and capped at their balance, since several spenders can't take the same tokens twice.
+// Permit2 allowances are skipped because they draw on the token's approval of Permit2.
+function summarizeUsdExposure() {
+  const summary = {
+    byChain: {},
+    byOwner: {},
+    total: { ...EMPTY_USD_EXPOSURE },
+  };
+  const tokens = new Map();
+
+  approvalsList.forEach((approval) => {
+    if (
+      approval.approvalType !== "erc20" ||
+      !isActiveApproval(approval) ||
+      approval.atRisk === BigInt(0)
+    ) {
+      return;
+    }
+
+    const ownerTokenKey = `${approval.chainId}:${approval.tokenAddress}:${approval.owner}`;
+    if (!tokens.has(ownerTokenKey)) {
+      tokens.set(ownerTokenKey, {
+        approval,
+        usd: 0,
+        priced: true,
+        balanceKnown: true,
+      });
+    }
+
+    const token = tokens.get(ownerTokenKey);
+    if (!tokenPrices.has(`${approval.chainId}:${approval.tokenAddress}`)) {
+      token.priced = false;
+    } else if (approval.atRisk === null) {
+      token.balanceKnown = false;
+    } else {
+      token.usd += getUsdValue(approval);
+    }
+  });
+
+  tokens.forEach(({ approval, usd, priced, balanceKnown }) => {
+    const key = `${approval.chainId}:${approval.tokenAddress}`;
+
+    // Initialize chain and owner in summary if needed
+    if (!summary.byChain[approval.chainId]) {
+      summary.byChain[approval.chainId] = { ...EMPTY_USD_EXPOSURE };
+    }
+    if (!summary.byOwner[approval.owner]) {
+      summary.byOwner[approval.owner] = { ...EMPTY_USD_EXPOSURE };
+    }
+    const chainSummary = summary.byChain[approval.chainId];
+    const ownerSummary = summary.byOwner[approval.owner];
+
+    // Unpriced tokens are reported separately rather than counted as zero
+    if (!priced) {
+      chainSummary.unpriced++;
+      ownerSummary.unpriced++;
+      summary.total.unpriced++;
+      return;
+    }
+
+    // A priced token whose balance couldn't be read has no known exposure either
+    if (!balanceKnown) {
+      chainSummary.balanceUnknown++;
+      ownerSummary.balanceUnknown++;
+      summary.total.balanceUnknown++;
+      return;
+    }
+
+    const tokenMetadata = tokenMetadataCache.get(key);
+    const balanceUsd =
+      Number(
+        formatTokenAmount(approval.balance, tokenMetadata?.decimals ?? 18)
+      ) * tokenPrices.get(key);
+    const cappedUsd = Math.min(usd, balanceUsd);
+
+    chainSummary.usd += cappedUsd;
+    ownerSummary.usd += cappedUsd;
+    summary.total.usd += cappedUsd;
+  });
+
+  return summary;
+}
+
+// Cache for owner token balances, keyed by chainId:tokenAddress:owner
+const tokenBalanceCache = new Map();
+
+// Fetch an owner's balance of a token through the chain's RPC pool
+async function fetchTokenBalance(tokenAddress, chainId, owner) {
+  const cacheKey = `${chainId}:${tokenAddress}:${owner}`;
+  if (tokenBalanceCache.has(cacheKey)) {
+    return tokenBalanceCache.get(cacheKey);
+  }
+
+  let balance = null;
+  try {
+    balance = await readContractWithFallback(chainId, {
+      address: tokenAddress,
+      abi: ERC20_ABI,
+      functionName: "balanceOf",
+      args: [owner],
+    });
+  } catch (error) {
+    // Leave the balance unknown if no RPC could answer
+  }
+
+  tokenBalanceCache.set(cacheKey, balance);
+  return balance;
+}
+
+// Attach balance and at-risk amount (min of remaining allowance and balance) to fungible approvals
+async function fetchExposure(approvals) {
+  const fungible = approvals.filter(
+    (approval) =>
+      approval.approvalType === "erc20" || approval.approvalType === "permit2"
+  );
+
+  // Fetch each owner's balance of a token once, along with its metadata for formatting and sorting
+  const tokens = new Map();
+  fungible.forEach((approval) => {
+    tokens.set(
+      `${approval.chainId}:${approval.tokenAddress}:${approval.owner}`,
+      approval
+    );
+  });
+  await mapInBatches([...tokens.values()], ({ chainId, tokenAddress, owner }) =>
+    Promise.all([
+      fetchTokenBalance(tokenAddress, chainId, owner),
+      fetchTokenMetadata(tokenAddress, chainId),
+    ])
+  );
+
+  fungible.forEach((approval) => {
+    const balance = tokenBalanceCache.get(
+      `${approval.chainId}:${approval.tokenAddress}:${approval.owner}`
+    );
+    approval.balance = balance;
+    approval.atRisk =
+      balance === null
+        ? null
+        : approval.remainingApproval < balance
+        ? approval.remainingApproval
+        : balance;
+  });
+}
+
+// Utility to shuffle array (for randomizing RPC order)
+function shuffleArray(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Format token amounts with proper decimals
+function formatTokenAmount(amount, decimals) {
+  if (!amount) return "0";
+
+  try {
+    return formatUnits(amount, decimals);
+  } catch (error) {
+    return amount.toString();
+  }
+}
+
+// Global variables for interactive mode
+let approvalsList = [];
+// Every approval found; approvalsList is this narrowed by --dormant
+let allApprovals = [];
+let selectedApprovalIndex = 0;
+let currentPage = 0;
+const PAGE_SIZE = 8; // Number of approvals to show per page
+
+// Group approvals by token for better display
+let groupedApprovals = {};
+
+// Scanning stats to preserve after completion
+let chainStats = {};
+// Per-chain scan state (approval and transfer maps) kept for watch mode
+let chainScanState = {};
+// Watch mode status shown in the navigation box
+let watchStatus = { lastPollAt: null, lastError: null };
+let scanStartedAt = null;
+
+// Available sort modes for the approvals list
+const SORT_MODES = ["default", "risk"];
+let sortMode = "default";
+
+// Token prices in USD keyed by `${chainId}:${tokenAddress}`, loaded from --prices
+let tokenPrices = new Map();
+
+// Lowercased spender addresses allowed by the --allowlist policy
+let spenderAllowlist = null;
+
+// Address book entries keyed by lowercased label, loaded from --address-book
+let addressBook = new Map();
+
+// Display names for scanned addresses: the ENS name or label they were given as,
+// or their address book label
+const addressNames = new Map();
+
+// Signing account and broadcast clients (by chain ID) for the revoke command
+let revokeAccount = null;
+let revokeRpcClients = null;
+
+// Revoke transactions waiting for the user to confirm
+let pendingRevoke = null;
+
+// Bump when the checkpoint state layout changes so old caches are ignored
+const CHECKPOINT_VERSION = 6;
+
+// Number of confirmed snapshots kept per chain to roll back to after a reorg
+const MAX_CHECKPOINT_SNAPSHOTS = 4;
+
+// Exit code used when a policy check fails, distinct from errors (1)
+const EXIT_POLICY_VIOLATION = 2;
+
+// Exit code used when policies were met but a chain scan failed or hit errors,
+// so approvals may be missing and the checks can't be trusted
+const EXIT_INCOMPLETE_SCAN = 3;
+
+// Create global readline interface
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+  terminal: true,
+});
+
+// CLI setup - note the change to use DEFAULT_CHAIN_IDS
+const program = new Command();
+program
+  .name("snubb")
+  .description("Terminal UI for finding and revoking Ethereum token approvals")
+  .version("1.0.0")
+  .option(
+    "-a, --address <address>",
+    "Address, ENS name or address book label to check approvals for; repeat or comma-separate for several",
+    (value, addresses) => [...addresses, ...value.split(",")],
+    []
+  )
+  .option(
+    "--address-file <file>",
+    "File of addresses to check, one per line (# starts a comment)"
+  )
+  .option(
+    "--address-book <file>",
+    "File of 'label address' lines; labels can be passed to --address and are shown next to addresses"
+  )
+  .option(
+    "-c, --chains <chainIds>",
+    "Comma-separated chain IDs or 'many-networks' to scan multiple networks (default: 1 - Ethereum only)",
+    "1"
+  )
+  .option(
+    "--list-chains",
+    "Display a list of all supported chains from networkCache.json"
+  )
+  .option(
+    "--no-verify",
+    "Skip checking allowances against on-chain allowance() values"
+  )
+  .option(
+    "--prices <file>",
+    "JSON or CSV file of USD prices keyed by chainId:tokenAddress"
+  )
+  .option(
+    "--export <file>",
+    "Write the approvals table to a .csv, .md or .html file and exit"
+  )
+  .option(
+    "--json",
+    "Print approvals as JSON to stdout and exit instead of starting the UI"
+  )
+  .option(
+    "--revoke-out <file>",
+    "File the 'r' key writes unsigned revoke transactions to",
+    "revoke-transactions.json"
+  )
+  .option(
+    "--safe-batch <dir>",
+    "Write Safe Transaction Builder revoke batches (one file per chain) to dir and exit"
+  )
+  .option(
+    "--to-block <n>",
+    "Scan only up to and including block n, showing approvals live at that block"
+  )
+  .option(
+    "--to-timestamp <time>",
+    "Scan only up to this time (unix seconds or ISO date), resolved per chain"
+  )
+  .option(
+    "--dormant",
+    "Only list approvals with no spend for longer than --dormant-days"
+  )
+  .option(
+    "--dormant-days <days>",
+    "Days without a spend after which an approval counts as dormant",
+    "365"
+  )
+  .option(
+    "--history",
+    "Also list revoked and used-up approvals, dimmed, with when they were closed"
+  )
+  .option(
+    "--watch",
+    "Keep following new blocks after the scan and highlight new or changed approvals"
+  )
+  .option("--watch-interval <seconds>", "Seconds between watch polls", "15")
+  .option(
+    "--on-unlimited <command>",
+    "In watch mode, run this shell command (instead of ringing the bell) for each new unlimited approval"
+  )
+  .option(
+    "--webhook <url>",
+    "POST a JSON payload to this URL for each new, increased, used or revoked approval"
+  )
+  .option(
+    "--webhook-secret-env <name>",
+    "Environment variable holding the secret webhook requests are HMAC-signed with"
+  )
+  .option(
+    "--webhook-retries <n>",
+    "Times to retry a webhook request that fails",
+    "3"
+  )
+  .option(
+    "--cache-dir <dir>",
+    "Directory for per-address, per-chain scan checkpoints and webhook state",
+    path.join(os.homedir(), ".snubb", "cache")
+  )
+  .option(
+    "--full-rescan",
+    "Ignore saved checkpoints and scan every chain from genesis"
+  )
+  .option(
+    "--private-key-env <name>",
+    "Environment variable holding the private key the 'x' revoke command signs with"
+  )
+  .option(
+    "--keystore <file>",
+    "Encrypted JSON keystore the 'x' revoke command signs with (password from SNUBB_KEYSTORE_PASSWORD)"
+  )
+  .option(
+    "--revoke-rpc <url>",
+    "RPC endpoint to broadcast revokes through; repeat for several chains",
+    (url, urls) => [...urls, url],
+    []
+  )
+  .option(
+    "--fail-on-unlimited",
+    "Policy: exit with a non-zero code if any unlimited approval is found"
+  )
+  .option(
+    "--max-approvals <n>",
+    "Policy: exit with a non-zero code if more than n approvals are found"
+  )
+  .option(
+    "--allowlist <file>",
+    "Policy: exit with a non-zero code if any spender is not listed in this file"
+  )
+  .option(
+    "--sort <mode>",
+    "Sort approvals by 'default' (chain, unlimited first) or 'risk' (largest at-risk exposure first)",
+    "default"
+  )
+  .parse(process.argv);
+
+const options = program.opts();
+
+// Check if user wants to list all supported chains
+if (options.listChains) {
+  console.log(
+    chalk.bold.cyan(figlet.textSync("Supported Chains", { font: "Small" }))
+  );
+  console.log(
+    chalk.bold.cyan("List of all supported chains from networkCache.json\n")
+  );
+
+  // Create a table for better display
   const chainsTable = new Table({
     head: [
       chalk.cyan.bold("CHAIN ID"),
@@ -434,9 +1530,23 @@ if (options.listChains) {
   process.exit(0);
 }
 
+// Collect the addresses to scan from --address and --address-file
+let TARGET_ADDRESSES = options.address
+  .map((address) => address.trim())
+  .filter(Boolean);
+if (options.addressFile) {
+  try {
+    TARGET_ADDRESSES.push(...loadAddressFile(options.addressFile));
+  } catch (error) {
+    console.error(
+      chalk.red(`Error: Could not load address file: ${error.message}`)
+    );
+    process.exit(1);
+  }
+}
+
 // Check if we have an address
-let TARGET_ADDRESS = options.address;
-if (!TARGET_ADDRESS) {
+if (TARGET_ADDRESSES.length === 0) {
   console.log(
     chalk.bold.cyan(
       figlet.textSync("snubb", {
@@ -462,7 +1572,12 @@ if (!TARGET_ADDRESS) {
   console.log(chalk.yellow("Options:"));
   console.log(
     chalk.green(
-      `  --chains <chainIds>  Comma-separated chain IDs to scan (default: 1 - Ethereum only)\n`
+      `  --address-file <file>  Scan every address in a file, one per line\n`
+    )
+  );
+  console.log(
+    chalk.green(
+      `  --chains <chainIds>  Comma-separated chain IDs to scan (default: 1 - Ethereum only)\n`
     )
   );
   console.log(
@@ -541,21 +1656,286 @@ if (CHAIN_IDS.length === 0) {
   CHAIN_IDS.push(1); // Fallback to Ethereum mainnet
 }
 
-// Normalize address
-TARGET_ADDRESS = TARGET_ADDRESS.toLowerCase();
-if (!TARGET_ADDRESS.startsWith("0x")) {
-  TARGET_ADDRESS = "0x" + TARGET_ADDRESS;
+// Skip banners and progress output when stdout carries machine-readable output
+const QUIET_OUTPUT = Boolean(options.json);
+
+// Pick the export format from the file extension
+const EXPORT_FORMATS = {
+  ".csv": "csv",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".html": "html",
+  ".htm": "html",
+};
+let exportFormat = null;
+if (options.export) {
+  exportFormat = EXPORT_FORMATS[path.extname(options.export).toLowerCase()];
+  if (!exportFormat) {
+    console.error(
+      chalk.red(`Error: Unsupported export file type '${options.export}'.`)
+    );
+    console.error(
+      chalk.yellow(`Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`)
+    );
+    process.exit(1);
+  }
+}
+
+// Validate the requested sort mode
+sortMode = options.sort.toLowerCase();
+if (!SORT_MODES.includes(sortMode)) {
+  console.error(chalk.red(`Error: Unknown sort mode '${options.sort}'.`));
+  console.error(chalk.yellow(`Use one of: ${SORT_MODES.join(", ")}`));
+  process.exit(1);
+}
+
+// Validate the approval count policy
+if (options.maxApprovals !== undefined && !/^\d+$/.test(options.maxApprovals)) {
+  console.error(
+    chalk.red(
+      `Error: --max-approvals must be a non-negative integer, got '${options.maxApprovals}'.`
+    )
+  );
+  process.exit(1);
+}
+
+// Parse the historical cut-off, if any
+let SCAN_TO_BLOCK = null;
+let SCAN_TO_TIMESTAMP = null;
+if (options.toBlock !== undefined && options.toTimestamp !== undefined) {
+  console.error(
+    chalk.red("Error: Use either --to-block or --to-timestamp, not both.")
+  );
+  process.exit(1);
+}
+if (options.toBlock !== undefined) {
+  if (!/^\d+$/.test(options.toBlock)) {
+    console.error(
+      chalk.red(
+        `Error: --to-block must be a block number, got '${options.toBlock}'.`
+      )
+    );
+    process.exit(1);
+  }
+  SCAN_TO_BLOCK = parseInt(options.toBlock);
+}
+if (options.toTimestamp !== undefined) {
+  SCAN_TO_TIMESTAMP = /^\d+$/.test(options.toTimestamp)
+    ? parseInt(options.toTimestamp)
+    : Math.floor(Date.parse(options.toTimestamp) / 1000);
+  if (!Number.isFinite(SCAN_TO_TIMESTAMP)) {
+    console.error(
+      chalk.red(
+        `Error: --to-timestamp must be unix seconds or a date, got '${options.toTimestamp}'.`
+      )
+    );
+    process.exit(1);
+  }
+}
+const IS_HISTORICAL_SCAN = SCAN_TO_BLOCK !== null || SCAN_TO_TIMESTAMP !== null;
+
+// Watch mode follows the chain tip in the terminal UI, so it can't be combined
+// with one-shot outputs or a historical cut-off
+if (options.watch) {
+  const conflicting = [
+    options.json && "--json",
+    options.export && "--export",
+    options.safeBatch && "--safe-batch",
+    (options.failOnUnlimited ||
+      options.maxApprovals !== undefined ||
+      options.allowlist) &&
+      "policy flags",
+    IS_HISTORICAL_SCAN && "--to-block/--to-timestamp",
+  ].filter(Boolean);
+  if (conflicting.length > 0) {
+    console.error(
+      chalk.red(
+        `Error: --watch can't be combined with ${conflicting.join(", ")}.`
+      )
+    );
+    process.exit(1);
+  }
+
+  if (!(Number(options.watchInterval) > 0)) {
+    console.error(
+      chalk.red(
+        `Error: --watch-interval must be a positive number of seconds, got '${options.watchInterval}'.`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+// Dormancy is counted in whole days since the last spend, or the grant if never used
+if (!/^\d+$/.test(options.dormantDays) || Number(options.dormantDays) === 0) {
+  console.error(
+    chalk.red(
+      `Error: --dormant-days must be a positive whole number, got '${options.dormantDays}'.`
+    )
+  );
+  process.exit(1);
+}
+const DORMANT_DAYS = Number(options.dormantDays);
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Webhooks report changes since the last run, which a historical scan can't know
+if (options.webhook) {
+  let webhookUrl = null;
+  try {
+    webhookUrl = new URL(options.webhook);
+  } catch (error) {
+    // Reported below
+  }
+  if (!webhookUrl || !["http:", "https:"].includes(webhookUrl.protocol)) {
+    console.error(
+      chalk.red(
+        `Error: --webhook must be an http(s) URL, got '${options.webhook}'.`
+      )
+    );
+    process.exit(1);
+  }
+
+  if (!/^\d+$/.test(options.webhookRetries)) {
+    console.error(
+      chalk.red(
+        `Error: --webhook-retries must be a non-negative integer, got '${options.webhookRetries}'.`
+      )
+    );
+    process.exit(1);
+  }
+
+  if (IS_HISTORICAL_SCAN) {
+    console.error(
+      chalk.red(
+        "Error: --webhook can't be combined with --to-block/--to-timestamp."
+      )
+    );
+    process.exit(1);
+  }
+
+  // Deliveries use the built-in fetch, which older runtimes lack
+  if (
+    typeof fetch !== "function" ||
+    typeof AbortSignal.timeout !== "function"
+  ) {
+    console.error(
+      chalk.red(
+        `Error: --webhook needs Node.js 18 or newer, running ${process.version}.`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+if (options.webhookSecretEnv && !process.env[options.webhookSecretEnv]) {
+  console.error(
+    chalk.red(
+      `Error: environment variable ${options.webhookSecretEnv} (from --webhook-secret-env) is not set.`
+    )
+  );
+  process.exit(1);
+}
+
+// Load the spender allowlist if one was given
+if (options.allowlist) {
+  try {
+    spenderAllowlist = loadAddressFile(options.allowlist);
+  } catch (error) {
+    console.error(
+      chalk.red(`Error: Could not load allowlist file: ${error.message}`)
+    );
+    process.exit(1);
+  }
+}
+
+// Any policy flag turns the run into a non-interactive pass/fail check
+const POLICY_CHECKS_ENABLED = Boolean(
+  options.failOnUnlimited ||
+    options.maxApprovals !== undefined ||
+    options.allowlist
+);
+
+// Load the offline price file if one was given
+if (options.prices) {
+  try {
+    tokenPrices = loadPriceFile(options.prices);
+  } catch (error) {
+    console.error(
+      chalk.red(`Error: Could not load price file: ${error.message}`)
+    );
+    process.exit(1);
+  }
+}
+
+// Load the address book so its labels can be used as addresses
+if (options.addressBook) {
+  try {
+    addressBook = loadAddressBook(options.addressBook);
+  } catch (error) {
+    console.error(
+      chalk.red(`Error: Could not load address book: ${error.message}`)
+    );
+    process.exit(1);
+  }
+  addressBook.forEach(({ label, address }) => addressNames.set(address, label));
+}
+
+// Resolve ENS names and labels, normalize addresses and drop duplicates, keeping the given order
+try {
+  const resolved = [];
+  for (const input of TARGET_ADDRESSES) {
+    const { address, name } = await resolveAddressInput(input);
+    // The name typed on the command line wins over an address book label
+    if (name) addressNames.set(address, name);
+    resolved.push(address);
+  }
+  TARGET_ADDRESSES = [...new Set(resolved)];
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+const IS_MULTI_ADDRESS = TARGET_ADDRESSES.length > 1;
+
+// Load the signing key for the revoke command, which must own a scanned address
+if (options.privateKeyEnv || options.keystore) {
+  try {
+    revokeAccount = loadRevokeAccount();
+  } catch (error) {
+    console.error(
+      chalk.red(`Error: Could not load signing key: ${error.message}`)
+    );
+    process.exit(1);
+  }
+
+  if (!TARGET_ADDRESSES.includes(revokeAccount.address.toLowerCase())) {
+    console.error(
+      chalk.red(
+        `Error: Signing key is for ${
+          revokeAccount.address
+        }, which is not a scanned address (${TARGET_ADDRESSES.join(", ")}).`
+      )
+    );
+    process.exit(1);
+  }
+
+  if (options.revokeRpc.length === 0) {
+    console.error(
+      chalk.red("Error: --revoke-rpc is required when a signing key is set.")
+    );
+    process.exit(1);
+  }
 }
 
 // Address formatting for topic filtering
-const TARGET_ADDRESS_NO_PREFIX = TARGET_ADDRESS.substring(2).toLowerCase();
-const TARGET_ADDRESS_PADDED =
-  "0x000000000000000000000000" + TARGET_ADDRESS_NO_PREFIX;
+const TARGET_ADDRESSES_PADDED = TARGET_ADDRESSES.map(
+  (address) => "0x000000000000000000000000" + address.substring(2)
+);
 
-// Define ERC20 event signatures
+// Define ERC20 event signatures (plus the ERC721/ERC1155 operator approval)
 const event_signatures = [
   "Transfer(address,address,uint256)",
   "Approval(address,address,uint256)",
+  "ApprovalForAll(address,address,bool)",
 ];
 
 // Create topic0 hashes from event signatures
@@ -564,13 +1944,53 @@ const topic0_list = event_signatures.map((sig) => keccak256(toHex(sig)));
 // Store individual topic hashes for easier comparison
 const TRANSFER_TOPIC = topic0_list[0];
 const APPROVAL_TOPIC = topic0_list[1];
+const APPROVAL_FOR_ALL_TOPIC = topic0_list[2];
 
 // Create mapping from topic0 hash to event name
 const topic0ToName = {};
 topic0ToName[TRANSFER_TOPIC] = "Transfer";
 topic0ToName[APPROVAL_TOPIC] = "Approval";
+topic0ToName[APPROVAL_FOR_ALL_TOPIC] = "ApprovalForAll";
+
+// Selector of transferFrom(address,address,uint256), to spot allowance spends in traces
+const TRANSFER_FROM_SELECTOR = keccak256(
+  toHex("transferFrom(address,address,uint256)")
+).slice(0, 10);
+
+// Uniswap Permit2 is deployed at the same address on every chain
+const PERMIT2_ADDRESS = "0x000000000022d473030f116ddee9f6b43ac78ba3";
+
+// Define Permit2 AllowanceTransfer event signatures
+const permit2_event_signatures = [
+  "Approval(address,address,address,uint160,uint48)",
+  "Permit(address,address,address,uint160,uint48,uint48)",
+  "Lockdown(address,address,address)",
+  "NonceInvalidation(address,address,address,uint48,uint48)",
+];
+
+const permit2_topic0_list = permit2_event_signatures.map((sig) =>
+  keccak256(toHex(sig))
+);
+
+const PERMIT2_APPROVAL_TOPIC = permit2_topic0_list[0];
+const PERMIT2_PERMIT_TOPIC = permit2_topic0_list[1];
+const PERMIT2_LOCKDOWN_TOPIC = permit2_topic0_list[2];
+const PERMIT2_NONCE_INVALIDATION_TOPIC = permit2_topic0_list[3];
+
+topic0ToName[PERMIT2_APPROVAL_TOPIC] = "Permit2.Approval";
+topic0ToName[PERMIT2_PERMIT_TOPIC] = "Permit2.Permit";
+topic0ToName[PERMIT2_LOCKDOWN_TOPIC] = "Permit2.Lockdown";
+topic0ToName[PERMIT2_NONCE_INVALIDATION_TOPIC] = "Permit2.NonceInvalidation";
+
+// Permit2 allowances are uint160, so this is its "unlimited" value
+const MAX_UINT160 = BigInt(2) ** BigInt(160) - BigInt(1);
 
 // Helper functions for UI
+// Print banners and progress, unless stdout carries machine-readable output
+const logStatus = (...args) => {
+  if (!QUIET_OUTPUT) console.log(...args);
+};
+
 const formatNumber = (num) => {
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 };
@@ -584,6 +2004,25 @@ const formatToken = (tokenAddress, tokenMetadata) => {
   return `${tokenAddress.slice(0, 6)}...${tokenAddress.slice(-6)}`;
 };
 
+// Owner name or shortened address that fits the table's owner column
+const formatOwnerAddress = (address) => {
+  const name = addressNames.get(address);
+  if (name) return name.length > 13 ? `${name.slice(0, 12)}…` : name;
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Extract an address from a 32-byte indexed topic
+const topicToAddress = (topic) => {
+  return "0x" + topic.slice(-40).toLowerCase();
+};
+
+// ERC721 events index all three params, so they carry four topics instead of three
+const isErc721TopicLayout = (rawLog) => {
+  return rawLog.topics.filter((topic) => topic).length === 4;
+};
+
 // Check if an amount is effectively unlimited (close to 2^256-1)
 const isEffectivelyUnlimited = (amount) => {
   // Common unlimited values (2^256-1 and similar large numbers)
@@ -629,6 +2068,56 @@ const formatAmount = (amount, tokenMetadata) => {
   return amount.toString();
 };
 
+// Format the at-risk amount of an approval for display
+const formatAtRisk = (approval, tokenMetadata) => {
+  // NFT approvals have no fungible balance to compare against
+  if (approval.atRisk === undefined) return chalk.dim("-");
+  if (approval.atRisk === null) return chalk.dim("?");
+  if (approval.atRisk === BigInt(0)) return chalk.dim("0");
+
+  return chalk.red(formatAmount(approval.atRisk, tokenMetadata));
+};
+
+// Format a USD amount
+const formatUsd = (value) => {
+  return `$${value.toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+};
+
+// Format the USD value of an approval, marking tokens without a price
+const formatUsdValue = (approval) => {
+  // NFT approvals have no fungible amount to price
+  if (approval.atRisk === undefined) return chalk.dim("-");
+  if (approval.atRisk === null) return chalk.dim("?");
+
+  const usdValue = getUsdValue(approval);
+  if (usdValue === null) return chalk.yellow("unpriced");
+
+  return chalk.green(formatUsd(usdValue));
+};
+
+// Format a chain's USD exposure, noting how many tokens were left unpriced
+// or had a balance that couldn't be read
+const formatUsdExposure = ({ usd, unpriced, balanceUnknown }) => {
+  const unpricedNote =
+    unpriced > 0 ? chalk.yellow(` +${unpriced} unpriced`) : "";
+  const balanceNote =
+    balanceUnknown > 0
+      ? chalk.yellow(` +${balanceUnknown} balance unknown`)
+      : "";
+  return `${formatUsd(usd)}${unpricedNote}${balanceNote}`;
+};
+
+// Format a Permit2 expiration (unix seconds) as a date
+const formatExpiration = (expiration) => {
+  return new Date(expiration * 1000).toISOString().slice(0, 10);
+};
+
+// Local wall-clock time as HH:MM:SS
+const formatClockTime = (date) => date.toTimeString().slice(0, 8);
+
 // Format chain name with color (safely)
 const formatChainName = (chainId) => {
   if (!SUPPORTED_CHAINS[chainId]) {
@@ -673,30 +2162,48 @@ function drawProgressBar(progress, width = 40, colorName = "cyan") {
   }
 }
 
-// Create a query for ERC20 events related to our target address
+// Create a query for ERC20 events related to the target addresses. Every owner
+// shares one stream: each topic filter matches any of their padded addresses.
 const createQuery = (fromBlock) => ({
   fromBlock,
   logs: [
     // Filter for Approval events where target address is the owner (topic1)
     {
-      topics: [[APPROVAL_TOPIC], [TARGET_ADDRESS_PADDED], []],
+      topics: [[APPROVAL_TOPIC], TARGET_ADDRESSES_PADDED, []],
+    },
+    // Filter for ApprovalForAll events (ERC721/ERC1155) where target address is the owner (topic1)
+    {
+      topics: [[APPROVAL_FOR_ALL_TOPIC], TARGET_ADDRESSES_PADDED, []],
+    },
+    // Filter for Permit2 allowance events where target address is the owner (topic1)
+    {
+      address: [PERMIT2_ADDRESS],
+      topics: [
+        [
+          PERMIT2_APPROVAL_TOPIC,
+          PERMIT2_PERMIT_TOPIC,
+          PERMIT2_LOCKDOWN_TOPIC,
+          PERMIT2_NONCE_INVALIDATION_TOPIC,
+        ],
+        TARGET_ADDRESSES_PADDED,
+      ],
     },
     // Filter for Transfer events where target address is from (topic1)
     {
-      topics: [[TRANSFER_TOPIC], [TARGET_ADDRESS_PADDED], []],
+      topics: [[TRANSFER_TOPIC], TARGET_ADDRESSES_PADDED, []],
     },
     // Also get Transfer events where target address is to (topic2)
     {
-      topics: [[TRANSFER_TOPIC], [], [TARGET_ADDRESS_PADDED]],
+      topics: [[TRANSFER_TOPIC], [], TARGET_ADDRESSES_PADDED],
     },
   ],
   // Also filter for transactions involving the target address
   transactions: [
     {
-      from: [TARGET_ADDRESS],
+      from: TARGET_ADDRESSES,
     },
     {
-      to: [TARGET_ADDRESS],
+      to: TARGET_ADDRESSES,
     },
   ],
   fieldSelection: {
@@ -717,6 +2224,8 @@ const createQuery = (fromBlock) => ({
       TransactionField.To,
       TransactionField.Hash,
     ],
+    // Block times for the approval history
+    block: [BlockField.Number, BlockField.Timestamp],
   },
   joinMode: JoinMode.JoinTransactions,
 });
@@ -724,6 +2233,9 @@ const createQuery = (fromBlock) => ({
 // Add a new state variable near the other global variables
 let detailsExpanded = false;
 
+// Approvals marked for revocation, keyed by approvalKey()
+let markedApprovals = new Set();
+
 // Function to display the approvals list
 async function displayApprovalsList() {
   console.clear();
@@ -793,7 +2305,7 @@ async function displayApprovalsList() {
   }
 
   // Add revoke.cash link right above navigation commands
-  const revokeLink = `https://revoke.cash/address/${TARGET_ADDRESS}`;
+  const revokeLink = `https://revoke.cash/address/${getSelectedOwner()}`;
   console.log(
     boxen(
       chalk.bold.white(
@@ -820,8 +2332,31 @@ async function displayApprovalsList() {
           `${chalk.yellow(">")} - Next page        ${chalk.yellow(
             "<"
           )} - Previous page`,
-          `${chalk.yellow("ENTER")} - Show/hide details`,
+          `${chalk.yellow("ENTER")} - Show/hide details    ${chalk.yellow(
+            "s"
+          )} - Sort (${sortMode})`,
+          `${chalk.yellow("m")} - Mark for revoke  ${chalk.yellow(
+            "r"
+          )} - Write revoke txs (${markedApprovals.size} marked)`,
+          `${chalk.yellow("b")} - Write Safe revoke batch files  ${chalk.yellow(
+            "x"
+          )} - Sign & send revokes`,
           `${chalk.yellow("q")} - Quit             ${chalk.yellow("h")} - Help`,
+          ...(options.watch
+            ? [
+                "",
+                chalk.cyan(
+                  `Watching every ${options.watchInterval}s - last poll ${
+                    watchStatus.lastPollAt
+                      ? formatClockTime(watchStatus.lastPollAt)
+                      : "pending"
+                  }`
+                ),
+                ...(watchStatus.lastError
+                  ? [chalk.red(watchStatus.lastError)]
+                  : []),
+              ]
+            : []),
         ].join("\n"),
         {
           padding: { top: 1, bottom: 1, left: 2, right: 2 },
@@ -842,11 +2377,30 @@ function displayApprovalsTable(startIdx, endIdx) {
   const approvalsTable = new Table({
     head: [
       chalk.cyan.bold("CHAIN"),
+      // Owner column only when several addresses were scanned
+      ...(IS_MULTI_ADDRESS ? [chalk.cyan.bold("OWNER")] : []),
       chalk.cyan.bold("TOKEN"),
       chalk.cyan.bold("SPENDER"),
+      chalk.cyan.bold("KIND"),
       chalk.cyan.bold("AMOUNT"),
+      chalk.cyan.bold("AT RISK"),
+      chalk.cyan.bold("GRANTED"),
+      chalk.cyan.bold("LAST USED"),
+      // USD column only when a price file was loaded
+      ...(tokenPrices.size > 0 ? [chalk.cyan.bold("USD")] : []),
+    ],
+    colWidths: [
+      10,
+      ...(IS_MULTI_ADDRESS ? [15] : []),
+      18,
+      23,
+      8,
+      32,
+      18,
+      15,
+      18,
+      ...(tokenPrices.size > 0 ? [14] : []),
     ],
-    colWidths: [10, 18, 23, 35],
     style: {
       head: [], // No additional styling for headers
       border: [], // No additional styling for borders
@@ -871,8 +2425,9 @@ function displayApprovalsTable(startIdx, endIdx) {
     },
   });
 
-  // Keep track of current chain to handle grouping
+  // Keep track of current chain and owner to handle grouping
   let currentChainId = null;
+  let currentOwner = null;
   let currentTokenAddress = null;
 
   // Display the approvals with token metadata when available
@@ -880,29 +2435,45 @@ function displayApprovalsTable(startIdx, endIdx) {
     const approval = approvalsList[i];
     const isSelected = i === selectedApprovalIndex;
 
-    // Check if this is a new chain
+    // Check if this is a new chain or owner
     const isNewChain = currentChainId !== approval.chainId;
+    const isNewOwner = currentOwner !== approval.owner || isNewChain;
     const isNewToken =
-      currentTokenAddress !== approval.tokenAddress || isNewChain;
+      currentTokenAddress !== approval.tokenAddress || isNewOwner;
 
     // Get token metadata
     const tokenMetadata = tokenMetadataCache.get(
       `${approval.chainId}:${approval.tokenAddress}`
     );
 
+    // Permit2 allowances are nested under the token's approval of Permit2
+    const isPermit2Allowance = approval.approvalType === "permit2";
+
     // Format token display based on available metadata
-    const tokenDisplay =
-      tokenMetadata && tokenMetadata.success
-        ? `${chalk.cyan(tokenMetadata.symbol)}`
-        : chalk.cyan(approval.tokenAddress.slice(0, 6) + "...");
+    const tokenText = isPermit2Allowance
+      ? chalk.dim("  └ via Permit2")
+      : tokenMetadata && tokenMetadata.success
+      ? `${chalk.cyan(tokenMetadata.symbol)}`
+      : chalk.cyan(approval.tokenAddress.slice(0, 6) + "...");
+
+    // Tick approvals marked for revocation
+    const tokenDisplay = markedApprovals.has(approvalKey(approval))
+      ? `${chalk.magenta.bold("✓")} ${tokenText}`
+      : tokenText;
 
     // Format spender display with selection indicator and truncation if needed
-    const spenderText = formatToken(approval.spender);
+    const spenderText =
+      approval.spender === PERMIT2_ADDRESS
+        ? "Permit2"
+        : formatToken(approval.spender);
     // Truncate long spender addresses to fit column
-    const displaySpender =
+    const truncatedSpender =
       spenderText.length > 18
         ? spenderText.slice(0, 8) + "..." + spenderText.slice(-8)
         : spenderText;
+    const displaySpender = isPermit2Allowance
+      ? `└ ${truncatedSpender}`
+      : truncatedSpender;
 
     const spenderDisplay = isSelected
       ? chalk.yellow.bold(`→ ${displaySpender}`)
@@ -914,22 +2485,88 @@ function displayApprovalsTable(startIdx, endIdx) {
     );
     const displayAsUnlimited = approval.isUnlimited || isEffectiveUnlimited;
 
-    // Format amount display
-    const amountDisplay = displayAsUnlimited
+    // Format amount display (operator approvals cover the whole collection).
+    // Revoked and used-up approvals from history mode show their status instead
+    const isClosed = !isActiveApproval(approval);
+    const amountDisplay = isClosed
+      ? approval.status === "consumed"
+        ? "used up"
+        : "revoked"
+      : approval.approvalType === "operator"
+      ? chalk.red.bold("⚠️ ALL NFTs")
+      : approval.approvalType === "erc721"
+      ? chalk.green(`Token #${approval.tokenId}`)
+      : displayAsUnlimited
       ? isSelected
         ? chalk.red.bold("⚠️ UNLIMITED")
         : chalk.red.bold("⚠️ ∞")
       : chalk.green(formatAmount(approval.remainingApproval, tokenMetadata));
 
+    // Permit2 allowances also expire, so show when
+    const expiryDisplay =
+      isPermit2Allowance && !isClosed
+        ? ` ${chalk.dim(`exp ${formatExpiration(approval.expiration)}`)}`
+        : "";
+
+    // Flag allowances where the chain disagrees with the event history
+    const mismatchDisplay = approval.allowanceMismatch
+      ? ` ${chalk.yellow.bold("≠")}`
+      : "";
+
+    const amountCell = `${amountDisplay}${expiryDisplay}${mismatchDisplay}`;
+
+    // At risk is what the spender could take right now: min(remaining, balance)
+    const atRiskCell = isClosed ? "-" : formatAtRisk(approval, tokenMetadata);
+
     // Handle chain grouping - only show chain name for the first entry of the chain
-    const chainCell = isNewChain ? formatChainName(approval.chainId) : "";
+    const chainName = isNewChain ? formatChainName(approval.chainId) : "";
+
+    // Highlight approvals that appeared or changed while watching, with the time
+    const changeDisplay = approval.changedAt
+      ? (approval.watchChange === "new"
+          ? chalk.black.bgYellow
+          : chalk.black.bgCyan)(formatClockTime(approval.changedAt))
+      : "";
+    const chainCell = [chainName, changeDisplay].filter(Boolean).join("\n");
 
     // Add row to table
-    approvalsTable.push([
-      chainCell,
+    // Show the owner on the first row of each owner's group
+    const ownerCell = isNewOwner
+      ? chalk.magenta(formatOwnerAddress(approval.owner))
+      : "";
+
+    // Age of the approval and of its last spend; only token approvals track
+    // spends, and dormant ones are flagged
+    const grantedCell = formatAge(approval.grantedAt, approval.chainId);
+    const lastUsedText =
+      approval.approvalType !== "erc20"
+        ? "-"
+        : approval.lastUsedAt === null
+        ? "never"
+        : formatAge(approval.lastUsedAt, approval.chainId);
+    const lastUsedCell = approval.isDormant
+      ? chalk.yellow(`💤 ${lastUsedText}`)
+      : lastUsedText === "never"
+      ? chalk.dim(lastUsedText)
+      : lastUsedText;
+
+    // Dim everything but the group labels on closed approvals
+    const approvalCells = [
       tokenDisplay,
       spenderDisplay,
-      amountDisplay,
+      formatSpenderBadge(approval),
+      amountCell,
+      atRiskCell,
+      grantedCell,
+      lastUsedCell,
+      ...(tokenPrices.size > 0 ? [formatUsdValue(approval)] : []),
+    ];
+    approvalsTable.push([
+      chainCell,
+      ...(IS_MULTI_ADDRESS ? [ownerCell] : []),
+      ...(isClosed
+        ? approvalCells.map((cell) => chalk.dim(cell))
+        : approvalCells),
     ]);
 
     // Update tracking variables
@@ -937,6 +2574,10 @@ function displayApprovalsTable(startIdx, endIdx) {
       currentChainId = approval.chainId;
     }
 
+    if (isNewOwner) {
+      currentOwner = approval.owner;
+    }
+
     if (isNewToken) {
       currentTokenAddress = approval.tokenAddress;
     }
@@ -978,15 +2619,26 @@ function displayScanSummary() {
   // Create summary table
   console.log(chalk.bold.yellow("\nSUMMARY"));
 
+  // A single named address is shown here; several get the owners table below
+  if (!IS_MULTI_ADDRESS && addressNames.has(TARGET_ADDRESSES[0])) {
+    console.log(
+      `${chalk.yellow("Address:")} ${chalk.green(
+        formatAddressWithName(TARGET_ADDRESSES[0])
+      )}`
+    );
+  }
+
   const statsTable = new Table({
     head: [
       chalk.cyan("CHAIN"),
-      chalk.cyan("HEIGHT"),
+      chalk.cyan(IS_HISTORICAL_SCAN ? "CUT-OFF" : "HEIGHT"),
       chalk.cyan("EVENTS"),
       chalk.cyan("TIME"),
       chalk.cyan("APPROVALS"),
+      ...(tokenPrices.size > 0 ? [chalk.cyan("USD AT RISK")] : []),
     ],
-    colWidths: [15, 15, 10, 8, 10],
+    colWidths: [15, 15, 10, 8, 10, ...(tokenPrices.size > 0 ? [26] : [])],
+    wordWrap: true,
     style: {
       head: [], // No additional styling for headers
       border: [], // No additional styling for borders
@@ -994,6 +2646,9 @@ function displayScanSummary() {
     },
   });
 
+  // USD exposure per chain, only when a price file was loaded
+  const usdExposure = tokenPrices.size > 0 ? summarizeUsdExposure() : null;
+
   // Add rows to the table from chain stats
   let totalApprovals = 0;
   for (const chainId of CHAIN_IDS) {
@@ -1007,6 +2662,13 @@ function displayScanSummary() {
         formatNumber(stats.totalEvents),
         `${(stats.endTime / 1000).toFixed(1)}s`,
         stats.approvalsCount.toString(),
+        ...(usdExposure
+          ? [
+              formatUsdExposure(
+                usdExposure.byChain[chainId] || EMPTY_USD_EXPOSURE
+              ),
+            ]
+          : []),
       ]);
 
       totalApprovals += stats.approvalsCount;
@@ -1020,11 +2682,63 @@ function displayScanSummary() {
     "",
     "",
     chalk.bold.white(totalApprovals.toString()),
+    ...(usdExposure
+      ? [chalk.bold.white(formatUsdExposure(usdExposure.total))]
+      : []),
   ]);
 
   // Display the table
   console.log(statsTable.toString());
   console.log(""); // Add spacing
+
+  if (IS_MULTI_ADDRESS) {
+    displayOwnerSummary(usdExposure);
+  }
+}
+
+// Per-owner totals across all chains, shown when several addresses were scanned
+function displayOwnerSummary(usdExposure) {
+  console.log(chalk.bold.yellow("OWNERS"));
+
+  const ownersTable = new Table({
+    head: [
+      chalk.cyan("OWNER"),
+      chalk.cyan("NAME"),
+      chalk.cyan("APPROVALS"),
+      chalk.cyan("UNLIMITED"),
+      ...(usdExposure ? [chalk.cyan("USD AT RISK")] : []),
+    ],
+    colWidths: [44, 20, 11, 11, ...(usdExposure ? [26] : [])],
+    wordWrap: true,
+    style: {
+      head: [],
+      border: [],
+      compact: true,
+    },
+  });
+
+  summarizeOwners().forEach(
+    ({ owner, name, approvalsCount, unlimitedCount }) => {
+      ownersTable.push([
+        chalk.magenta(owner),
+        name ? chalk.cyan(name) : "",
+        approvalsCount.toString(),
+        unlimitedCount > 0
+          ? chalk.red(unlimitedCount.toString())
+          : unlimitedCount.toString(),
+        ...(usdExposure
+          ? [
+              formatUsdExposure(
+                usdExposure.byOwner[owner] || EMPTY_USD_EXPOSURE
+              ),
+            ]
+          : []),
+      ]);
+    }
+  );
+
+  console.log(ownersTable.toString());
+  console.log("");
 }
 
 // Asynchronous function to fetch token metadata in background
@@ -1063,6 +2777,78 @@ async function fetchTokenMetadataInBackground(startIdx, endIdx) {
   displayApprovalsList();
 }
 
+// Most history events shown in the details timeline; the first grant is always kept
+const MAX_TIMELINE_ENTRIES = 10;
+
+// Block time as "YYYY-MM-DD HH:MM UTC"
+const formatBlockTime = (timestamp) =>
+  timestamp === null || timestamp === undefined
+    ? "unknown time    "
+    : `${new Date(timestamp * 1000)
+        .toISOString()
+        .slice(0, 16)
+        .replace("T", " ")} UTC`;
+
+// Timeline lines for an ERC20 approval's history, replaying the allowance to
+// tell grants, raises, resets and spends apart
+function buildApprovalTimeline(history, tokenMetadata) {
+  const formatHistoryAmount = (amount) =>
+    isEffectivelyUnlimited(amount) ? "∞" : formatAmount(amount, tokenMetadata);
+
+  let allowance = null;
+  const lines = history.map((entry) => {
+    let label;
+    let color;
+    let detail;
+    if (entry.type === "spend") {
+      // Unlimited allowances don't go down when spent
+      if (allowance !== null && !isEffectivelyUnlimited(allowance)) {
+        allowance =
+          allowance > entry.amount ? allowance - entry.amount : BigInt(0);
+      }
+      [label, color] =
+        allowance === BigInt(0)
+          ? ["Used up", chalk.yellow]
+          : ["Used", chalk.yellow];
+      detail = `${formatHistoryAmount(entry.amount)}${
+        allowance === null
+          ? ""
+          : chalk.dim(` (${formatHistoryAmount(allowance)} left)`)
+      }`;
+    } else {
+      [label, color] =
+        allowance === null
+          ? ["Granted", chalk.green]
+          : entry.amount === BigInt(0)
+          ? ["Reset", chalk.dim]
+          : entry.amount > allowance
+          ? ["Raised", chalk.red]
+          : entry.amount < allowance
+          ? ["Lowered", chalk.cyan]
+          : ["Renewed", chalk.green];
+      allowance = entry.amount;
+      detail = formatHistoryAmount(entry.amount);
+    }
+
+    return [
+      `  ${chalk.dim(formatBlockTime(entry.timestamp))}  ${color(
+        label.padEnd(8)
+      )} ${detail}`,
+      chalk.dim(`    block ${entry.blockNumber} · ${entry.txHash}`),
+    ].join("\n");
+  });
+
+  // Keep the first grant and the latest events
+  if (lines.length > MAX_TIMELINE_ENTRIES) {
+    return [
+      lines[0],
+      chalk.dim(`  … ${lines.length - MAX_TIMELINE_ENTRIES} more events`),
+      ...lines.slice(-(MAX_TIMELINE_ENTRIES - 1)),
+    ];
+  }
+  return lines;
+}
+
 // Function to display approval details
 function displayApprovalDetails(approval, tokenMetadata) {
   // Get chain info
@@ -1085,11 +2871,205 @@ function displayApprovalDetails(approval, tokenMetadata) {
     approval.remainingApproval
   );
   const displayAsUnlimited = approval.isUnlimited || isEffectiveUnlimited;
+  const isOperator = approval.approvalType === "operator";
+  const isSingleNft = approval.approvalType === "erc721";
+
+  // Approval amounts, or the scope for NFT approvals
+  const amountDetails = isOperator
+    ? [
+        `${chalk.yellow("Approval Type:")} ${chalk.green(
+          "Operator (ApprovalForAll)"
+        )}`,
+        `${chalk.yellow("Scope:")} ${chalk.red.bold("ALL NFTs")}`,
+      ]
+    : approval.approvalType === "permit2"
+    ? [
+        `${chalk.yellow("Approval Type:")} ${chalk.green("Permit2 allowance")}`,
+        `${chalk.yellow("Via:")} ${chalk.green(`Permit2 (${approval.via})`)}`,
+        `${chalk.yellow("Amount:")} ${
+          displayAsUnlimited
+            ? chalk.red.bold("∞ (UNLIMITED)")
+            : chalk.green(
+                formatAmount(approval.remainingApproval, tokenMetadata)
+              )
+        }`,
+        `${chalk.yellow("Expires:")} ${chalk.green(
+          new Date(approval.expiration * 1000).toISOString()
+        )}`,
+        `${chalk.yellow("Next Nonce:")} ${approval.nonce}`,
+      ]
+    : isSingleNft
+    ? [
+        `${chalk.yellow("Approval Type:")} ${chalk.green(
+          "Single NFT (ERC721 Approval)"
+        )}`,
+        `${chalk.yellow("Scope:")} ${chalk.green(
+          `Token #${approval.tokenId}`
+        )}`,
+      ]
+    : [
+        `${chalk.yellow("Approved Amount:")} ${chalk.green(
+          displayAsUnlimited
+            ? "∞ (Unlimited)"
+            : formatAmount(approval.approvedAmount, tokenMetadata)
+        )}`,
+        `${chalk.yellow("Used Amount:")} ${chalk.green(
+          formatAmount(approval.transferredAmount, tokenMetadata)
+        )}`,
+        `${chalk.yellow("Remaining:")} ${
+          displayAsUnlimited
+            ? chalk.red.bold("∞ (UNLIMITED)")
+            : chalk.green(
+                formatAmount(approval.remainingApproval, tokenMetadata)
+              )
+        }`,
+      ];
+
+  // Owner balance and what the spender could take from it right now
+  const exposureDetails =
+    approval.atRisk !== undefined
+      ? [
+          `${chalk.yellow("Balance:")} ${
+            approval.balance === null
+              ? chalk.dim("unavailable (no RPC answered)")
+              : chalk.green(formatAmount(approval.balance, tokenMetadata))
+          }`,
+          `${chalk.yellow("At Risk:")} ${formatAtRisk(
+            approval,
+            tokenMetadata
+          )} ${chalk.dim("(min of remaining and balance)")}`,
+          ...(tokenPrices.size > 0
+            ? [`${chalk.yellow("USD Value:")} ${formatUsdValue(approval)}`]
+            : []),
+        ]
+      : [];
+
+  // Compare the event-derived allowance with the on-chain one, when verified
+  const formatAllowance = (amount) =>
+    (
+      approval.approvalType === "permit2"
+        ? amount === MAX_UINT160
+        : isEffectivelyUnlimited(amount)
+    )
+      ? "∞ (Unlimited)"
+      : formatAmount(amount, tokenMetadata);
+  const verificationDetails =
+    approval.eventAllowance !== undefined
+      ? [
+          chalk.cyan.bold("On-chain Verification:"),
+          `${chalk.yellow("From Events:")} ${chalk.green(
+            formatAllowance(approval.eventAllowance)
+          )}`,
+          `${chalk.yellow("Live allowance():")} ${
+            approval.liveAllowance === null
+              ? chalk.dim("unavailable (no RPC answered)")
+              : chalk.green(formatAllowance(approval.liveAllowance))
+          }`,
+          approval.liveAllowance === null
+            ? chalk.dim("Showing the event-derived value")
+            : approval.allowanceMismatch
+            ? chalk.yellow.bold(
+                "≠ Mismatch - the live value is used as the remaining amount"
+              )
+            : chalk.green("✓ Matches the event history"),
+          "",
+        ]
+      : [];
+
+  // For the approval of Permit2 itself, list the spenders it was delegated to
+  const permit2Spenders =
+    approval.spender === PERMIT2_ADDRESS
+      ? approvalsList.filter(
+          (entry) =>
+            entry.approvalType === "permit2" &&
+            entry.chainId === approval.chainId &&
+            entry.owner === approval.owner &&
+            entry.tokenAddress === approval.tokenAddress
+        )
+      : [];
+  const permit2Details =
+    permit2Spenders.length > 0
+      ? [
+          chalk.cyan.bold("Permit2 Spenders:"),
+          ...permit2Spenders.map(
+            (entry) =>
+              `  └ ${chalk.green(entry.spender)} ${
+                entry.isUnlimited
+                  ? chalk.red.bold("∞")
+                  : chalk.green(
+                      formatAmount(entry.remainingApproval, tokenMetadata)
+                    )
+              } ${chalk.dim(`exp ${formatExpiration(entry.expiration)}`)}`
+          ),
+          "",
+        ]
+      : [];
+
+  // When the approval was granted and last spent, and whether it is dormant
+  const formatTimeWithAge = (timestamp) =>
+    timestamp === null
+      ? chalk.dim("unknown")
+      : `${chalk.green(formatBlockTime(timestamp))} ${chalk.dim(
+          `(${formatAge(timestamp, approval.chainId)})`
+        )}`;
+  const ageDetails = [
+    `${chalk.yellow("Granted:")} ${formatTimeWithAge(approval.grantedAt)}`,
+    ...(approval.approvalType === "erc20"
+      ? [
+          `${chalk.yellow("Last Used:")} ${
+            approval.lastUsedAt === null
+              ? chalk.dim("never")
+              : formatTimeWithAge(approval.lastUsedAt)
+          }`,
+        ]
+      : []),
+    ...(approval.isDormant
+      ? [
+          chalk.yellow.bold(
+            `💤 Dormant - no spend in over ${DORMANT_DAYS} days`
+          ),
+        ]
+      : []),
+  ];
+
+  // When and in which transaction a revoked or used-up approval was closed
+  const isConsumed = approval.status === "consumed";
+  const statusDetails = isActiveApproval(approval)
+    ? []
+    : [
+        `${chalk.cyan.bold("Status:")} ${chalk.yellow(
+          isConsumed ? "Used up" : "Revoked"
+        )} ${chalk.dim(formatBlockTime(approval.closedBy.timestamp))}`,
+        `${chalk.yellow(isConsumed ? "Last Spend Block:" : "Revoke Block:")} ${
+          approval.closedBy.blockNumber
+        }`,
+        `${chalk.yellow(
+          isConsumed ? "Last Spend Transaction:" : "Revoke Transaction:"
+        )} ${approval.closedBy.txHash}`,
+        "",
+      ];
+
+  // Every approval and spend for the pair, oldest first
+  const timelineDetails =
+    approval.history?.length > 0
+      ? [
+          chalk.cyan.bold("Timeline:"),
+          ...buildApprovalTimeline(approval.history, tokenMetadata),
+          "",
+        ]
+      : [];
 
   // Create a more readable single-column display
   const detailsContent = [
     // Chain information
     `${chalk.cyan.bold("Chain:")} ${formatChainName(approval.chainId)}`,
+    ...(IS_MULTI_ADDRESS
+      ? [
+          `${chalk.cyan.bold("Owner:")} ${chalk.green(
+            formatAddressWithName(approval.owner)
+          )}`,
+        ]
+      : []),
     "",
 
     // Token information
@@ -1105,25 +3085,43 @@ function displayApprovalDetails(approval, tokenMetadata) {
     "",
 
     // Spender information
-    `${chalk.cyan.bold("Spender Address:")} ${chalk.green(approval.spender)}`,
+    `${chalk.cyan.bold(
+      isOperator ? "Operator Address:" : "Spender Address:"
+    )} ${chalk.green(approval.spender)}`,
+    ...(approval.spenderKind
+      ? [
+          `${chalk.cyan.bold("Spender Type:")} ${
+            approval.spenderKind === "contract"
+              ? chalk.green(SPENDER_KIND_LABELS.contract)
+              : approval.spenderKind === "unverified"
+              ? chalk.yellow(SPENDER_KIND_LABELS.unverified)
+              : chalk.red(SPENDER_KIND_LABELS[approval.spenderKind])
+          }`,
+        ]
+      : []),
     "",
 
+    ...statusDetails,
+
     // Approval amounts
     chalk.cyan.bold("Approval Details:"),
-    `${chalk.yellow("Approved Amount:")} ${chalk.green(
-      displayAsUnlimited
-        ? "∞ (Unlimited)"
-        : formatAmount(approval.approvedAmount, tokenMetadata)
-    )}`,
-    `${chalk.yellow("Used Amount:")} ${chalk.green(
-      formatAmount(approval.transferredAmount, tokenMetadata)
-    )}`,
-    `${chalk.yellow("Remaining:")} ${
-      displayAsUnlimited
-        ? chalk.red.bold("∞ (UNLIMITED)")
-        : chalk.green(formatAmount(approval.remainingApproval, tokenMetadata))
-    }`,
+    ...amountDetails,
+    ...exposureDetails,
+    ...ageDetails,
     "",
+    ...verificationDetails,
+    ...permit2Details,
+    ...timelineDetails,
+
+    // Watch mode change, if any
+    ...(approval.changedAt
+      ? [
+          `${chalk.yellow("Watch:")} ${
+            approval.watchChange === "new" ? "new approval" : "changed"
+          } at ${formatClockTime(approval.changedAt)}`,
+          "",
+        ]
+      : []),
 
     // Transaction information
     chalk.cyan.bold("Transaction Details:"),
@@ -1140,8 +3138,19 @@ function displayApprovalDetails(approval, tokenMetadata) {
     })
   );
 
+  // Display warning for operator approvals
+  if (isOperator) {
+    console.log(
+      boxen(
+        chalk.bold.white(
+          "⚠️  OPERATOR APPROVAL - This contract can transfer ALL of your NFTs in this collection"
+        ),
+        { padding: 1, borderColor: "red", borderStyle: "round" }
+      )
+    );
+  }
   // Display warning for unlimited approvals
-  if (displayAsUnlimited) {
+  else if (displayAsUnlimited) {
     console.log(
       boxen(
         chalk.bold.white(
@@ -1151,6 +3160,48 @@ function displayApprovalDetails(approval, tokenMetadata) {
       )
     );
   }
+
+  // Display warning for approvals to plain wallets
+  if (approval.spenderKind === "eoa" && isActiveApproval(approval)) {
+    console.log(
+      boxen(
+        chalk.bold.white(
+          "⚠️  EOA SPENDER - This spender is a wallet, not a contract. Whoever holds its key can move these tokens"
+        ),
+        { padding: 1, borderColor: "red", borderStyle: "round" }
+      )
+    );
+  } else if (
+    approval.spenderKind === "unverified" &&
+    isActiveApproval(approval)
+  ) {
+    console.log(
+      boxen(
+        chalk.bold.white(
+          "⚠️  NO CODE - This spender has no contract code. It may be a wallet; no archive RPC could confirm it never was a contract"
+        ),
+        { padding: 1, borderColor: "yellow", borderStyle: "round" }
+      )
+    );
+  }
+}
+
+// Badge for the table's KIND column: what kind of account the spender is
+function formatSpenderBadge(approval) {
+  switch (approval.spenderKind) {
+    case "contract":
+      return chalk.dim("SC");
+    case "eoa":
+      return chalk.bgRed.white.bold(" EOA ");
+    case "eip7702":
+      return chalk.bgYellow.black.bold(" 7702 ");
+    case "destroyed":
+      return chalk.magenta("DEAD");
+    case "unverified":
+      return chalk.yellow.bold("EOA?");
+    default:
+      return "";
+  }
 }
 
 // Help screen to display all commands
@@ -1173,6 +3224,22 @@ function displayHelpScreen() {
       `${chalk.yellow("p")} - Move to the previous approval in the list`,
       `${chalk.yellow(">")} - Go to next page of approvals`,
       `${chalk.yellow("<")} - Go to previous page of approvals`,
+      `${chalk.yellow(
+        "s"
+      )} - Switch sort mode (default / largest at-risk first)`,
+      `${chalk.yellow(
+        "m"
+      )} - Mark or unmark the selected approval for revocation`,
+      `${chalk.yellow(
+        "r"
+      )} - Write unsigned revoke transactions for the marked approvals`,
+      `    (or the selected one if none are marked) to ${options.revokeOut}`,
+      `${chalk.yellow(
+        "b"
+      )} - Write the same revocations as Safe Transaction Builder batch files`,
+      `${chalk.yellow(
+        "x"
+      )} - Sign and broadcast the revocations (needs a key and --revoke-rpc)`,
       `${chalk.yellow("h")} - Show this help screen`,
       `${chalk.yellow("q")} - Quit the application`,
       "",
@@ -1184,9 +3251,33 @@ function displayHelpScreen() {
       `${chalk.white(
         "Unlimited approvals (∞) are a security risk as they never expire."
       )}`,
+      `${chalk.white(
+        "Operator approvals (ALL NFTs) let a contract move every NFT in a collection."
+      )}`,
+      `${chalk.white(
+        "Amounts marked ≠ differ on-chain from the event history; the live value is shown."
+      )}`,
       `${chalk.white(
         "Consider revoking unused approvals to improve your wallet security."
       )}`,
+      ...(options.watch
+        ? [
+            "",
+            chalk.bold.yellow("WATCH MODE"),
+            "",
+            `${chalk.white(
+              `New blocks are polled every ${options.watchInterval}s and the list updates in place.`
+            )}`,
+            `${chalk.white(
+              "New approvals show the time they appeared on yellow, changed ones on cyan."
+            )}`,
+            `${chalk.white(
+              options.onUnlimited
+                ? "New unlimited approvals run the --on-unlimited command."
+                : "New unlimited approvals ring the terminal bell."
+            )}`,
+          ]
+        : []),
       "",
       chalk.bold.yellow("PRESS ANY KEY TO RETURN"),
     ].join("\n"),
@@ -1198,7 +3289,7 @@ function displayHelpScreen() {
   );
 
   // Add a separate, more prominent box for the revoke.cash link
-  const revokeLink = `https://revoke.cash/address/${TARGET_ADDRESS}`;
+  const revokeLink = `https://revoke.cash/address/${getSelectedOwner()}`;
   const revokeLinkContent = boxen(
     [
       chalk.bold.yellow("⚠️  HOW TO REVOKE APPROVALS ⚠️"),
@@ -1225,6 +3316,29 @@ function displayHelpScreen() {
   });
 }
 
+// Owner of the selected approval, for links that cover one address
+const getSelectedOwner = () =>
+  approvalsList[selectedApprovalIndex]?.owner || TARGET_ADDRESSES[0];
+
+// Approvals the revoke commands act on: the marked ones, or else the selected one.
+// Revoked and used-up approvals have nothing left to revoke.
+function getRevokeTargets() {
+  const marked = approvalsList.filter((approval) =>
+    markedApprovals.has(approvalKey(approval))
+  );
+  return (
+    marked.length > 0 ? marked : [approvalsList[selectedApprovalIndex]]
+  ).filter((approval) => approval && isActiveApproval(approval));
+}
+
+// Tell the user the revoke command has nothing to act on
+const reportNothingToRevoke = () =>
+  console.log(
+    chalk.yellow(
+      "Nothing to revoke: the approval is already revoked or used up"
+    )
+  );
+
 // Interactive mode with improved prompting
 function startInteractivePrompt() {
   // Use a visually distinct prompt
@@ -1237,6 +3351,21 @@ function startInteractivePrompt() {
   process.stdin.on("data", function (data) {
     const command = data.toString().trim().toLowerCase();
 
+    // The next input after a revoke summary is its confirmation
+    if (pendingRevoke) {
+      const prepared = pendingRevoke;
+      pendingRevoke = null;
+      if (command === "yes") {
+        finishRevoke(prepared).then(() =>
+          process.stdout.write(chalk.cyan.bold("> "))
+        );
+      } else {
+        console.log(chalk.yellow("Revoke cancelled."));
+        process.stdout.write(chalk.cyan.bold("> "));
+      }
+      return;
+    }
+
     if (command === "q") {
       console.log(chalk.green("Exiting..."));
       rl.close();
@@ -1279,11 +3408,79 @@ function startInteractivePrompt() {
       }
       displayApprovalsList();
       process.stdout.write(chalk.cyan.bold("> "));
-    } else if (command === "h") {
-      // Show help screen
-      displayHelpScreen();
-    } else if (command === "") {
-      // Enter key - toggle details view
+    } else if (command === "s") {
+      // Cycle through sort modes and jump back to the top
+      sortMode =
+        SORT_MODES[(SORT_MODES.indexOf(sortMode) + 1) % SORT_MODES.length];
+      approvalsList = sortApprovals(approvalsList);
+      selectedApprovalIndex = 0;
+      currentPage = 0;
+      displayApprovalsList();
+      process.stdout.write(chalk.cyan.bold("> "));
+    } else if (command === "m") {
+      // Toggle the revoke mark on the selected approval, if it is still open
+      const approval = approvalsList[selectedApprovalIndex];
+      // The list can be empty while watching or with --dormant
+      if (!approval) {
+        process.stdout.write(chalk.cyan.bold("> "));
+        return;
+      }
+      const key = approvalKey(approval);
+      if (markedApprovals.has(key)) {
+        markedApprovals.delete(key);
+      } else if (isActiveApproval(approval)) {
+        markedApprovals.add(key);
+      }
+      displayApprovalsList();
+      process.stdout.write(chalk.cyan.bold("> "));
+    } else if (command === "r") {
+      // Write revoke transactions for the marked approvals
+      const targets = getRevokeTargets();
+      if (targets.length === 0) {
+        reportNothingToRevoke();
+      } else {
+        try {
+          writeRevokeTransactions(options.revokeOut, targets);
+          console.log(
+            chalk.green(
+              `Wrote ${targets.length} unsigned revoke transaction${
+                targets.length === 1 ? "" : "s"
+              } to ${options.revokeOut}`
+            )
+          );
+        } catch (error) {
+          console.log(
+            chalk.red(`Could not write revoke transactions: ${error.message}`)
+          );
+        }
+      }
+      process.stdout.write(chalk.cyan.bold("> "));
+    } else if (command === "b") {
+      // Write Safe batches for the marked approvals into the working directory
+      const targets = getRevokeTargets();
+      if (targets.length === 0) {
+        reportNothingToRevoke();
+      } else {
+        try {
+          const batchFiles = writeSafeBatches(".", targets);
+          console.log(
+            chalk.green(`Wrote Safe revoke batches: ${batchFiles.join(", ")}`)
+          );
+        } catch (error) {
+          console.log(
+            chalk.red(`Could not write Safe revoke batches: ${error.message}`)
+          );
+        }
+      }
+      process.stdout.write(chalk.cyan.bold("> "));
+    } else if (command === "x") {
+      // Sign and broadcast revokes after confirmation
+      startRevoke().then(() => process.stdout.write(chalk.cyan.bold("> ")));
+    } else if (command === "h") {
+      // Show help screen
+      displayHelpScreen();
+    } else if (command === "") {
+      // Enter key - toggle details view
       detailsExpanded = !detailsExpanded;
       displayApprovalsList();
       process.stdout.write(chalk.cyan.bold("> "));
@@ -1306,34 +3503,446 @@ function startInteractivePrompt() {
   });
 }
 
+// Stream a chain's new blocks from where the last scan or poll stopped.
+// Returns true if any logs arrived.
+async function pollChain(chainId) {
+  const stats = chainStats[chainId];
+  const state = chainScanState[chainId];
+  if (!state || !stats.lastBlockSeen) return false;
+
+  const client = HypersyncClient.new({
+    url: `http://${chainId}.hypersync.xyz`,
+  });
+  const decoder = createScanDecoder();
+  const stream = await client.stream(createQuery(stats.lastBlockSeen), {});
+  // Count trace failures for this poll only
+  takeTraceErrors(chainId);
+
+  let sawLogs = false;
+  while (true) {
+    const res = await stream.recv();
+    if (res === null) break;
+
+    if (res.data && res.data.logs && res.data.logs.length > 0) {
+      await applyScanBatch(chainId, res, decoder, state, client);
+      sawLogs = true;
+    }
+    if (res.nextBlock) {
+      stats.lastBlockSeen = res.nextBlock;
+    }
+    if (res.archiveHeight) {
+      stats.height = res.archiveHeight;
+    }
+  }
+
+  // Show trace failures in the watch status line
+  const traceErrorMessage = takeTraceErrors(chainId);
+  if (traceErrorMessage) watchStatus.lastError = traceErrorMessage;
+
+  return sawLogs;
+}
+
+// Rebuild a chain's approvals after new blocks and flag the new or changed ones.
+// Returns approvals that just became unlimited.
+async function refreshChainApprovals(chainId) {
+  const previous = new Map(
+    allApprovals
+      .filter((approval) => approval.chainId === chainId)
+      .map((approval) => [approvalKey(approval), approval])
+  );
+
+  let entries = buildChainApprovals(chainId, chainScanState[chainId]);
+  if (options.verify) {
+    await verifyAllowances(entries.filter(isVerificationCandidate));
+    entries = applyLiveAllowances(entries);
+  }
+
+  // Balances may have moved in the new blocks too
+  for (const cacheKey of tokenBalanceCache.keys()) {
+    if (cacheKey.startsWith(`${chainId}:`)) tokenBalanceCache.delete(cacheKey);
+  }
+  await fetchExposure(entries.filter(isActiveApproval));
+  await fetchApprovalTimes(entries);
+  await classifySpenders(entries);
+
+  const now = new Date();
+  const newlyUnlimited = [];
+  entries.forEach((approval) => {
+    const before = previous.get(approvalKey(approval));
+    if (!before) {
+      approval.watchChange = "new";
+      approval.changedAt = now;
+    } else if (
+      before.remainingApproval !== approval.remainingApproval ||
+      before.txHash !== approval.txHash
+    ) {
+      approval.watchChange = "changed";
+      approval.changedAt = now;
+    } else {
+      // Keep the earlier highlight
+      approval.watchChange = before.watchChange;
+      approval.changedAt = before.changedAt;
+    }
+
+    const isUnlimited = (entry) =>
+      entry.isUnlimited || isEffectivelyUnlimited(entry.remainingApproval);
+    if (isUnlimited(approval) && !(before && isUnlimited(before))) {
+      newlyUnlimited.push(approval);
+    }
+  });
+
+  allApprovals = sortApprovals([
+    ...allApprovals.filter((approval) => approval.chainId !== chainId),
+    ...entries,
+  ]);
+  approvalsList = sortApprovals(filterDisplayedApprovals(allApprovals));
+  return newlyUnlimited;
+}
+
+// Approvals shown and exported: only the dormant ones with --dormant
+const filterDisplayedApprovals = (approvals) =>
+  options.dormant
+    ? approvals.filter((approval) => approval.isDormant)
+    : approvals;
+
+// Ring the bell, or run the --on-unlimited command, for each new unlimited approval
+function alertUnlimitedApprovals(approvals) {
+  approvals.forEach((approval) => {
+    if (!options.onUnlimited) {
+      process.stdout.write("\x07");
+      return;
+    }
+
+    // Details are passed in the environment so the command needs no parsing
+    exec(
+      options.onUnlimited,
+      {
+        env: {
+          ...process.env,
+          SNUBB_ADDRESS: approval.owner,
+          SNUBB_CHAIN_ID: String(approval.chainId),
+          SNUBB_APPROVAL_TYPE: approval.approvalType,
+          SNUBB_TOKEN: approval.tokenAddress,
+          SNUBB_SPENDER: approval.spender,
+          SNUBB_BLOCK_NUMBER: String(approval.blockNumber),
+          SNUBB_TX_HASH: approval.txHash,
+        },
+      },
+      (error) => {
+        if (error) {
+          watchStatus.lastError = `--on-unlimited failed: ${error.message}`;
+        }
+      }
+    );
+  });
+}
+
+// Poll every chain once, update the list and alert on new unlimited approvals
+async function pollForChanges() {
+  const selectedKey = approvalsList[selectedApprovalIndex]
+    ? approvalKey(approvalsList[selectedApprovalIndex])
+    : null;
+  const newlyUnlimited = [];
+  let changed = false;
+  watchStatus.lastError = null;
+
+  for (const chainId of CHAIN_IDS) {
+    try {
+      if (await pollChain(chainId)) {
+        newlyUnlimited.push(...(await refreshChainApprovals(chainId)));
+        changed = true;
+
+        if (options.webhook) {
+          const failures = await notifyApprovalChanges(
+            chainId,
+            allApprovals.filter(
+              (approval) =>
+                approval.chainId === chainId && isActiveApproval(approval)
+            )
+          );
+          if (failures.length > 0) {
+            watchStatus.lastError = failures[failures.length - 1];
+          }
+        }
+      }
+    } catch (error) {
+      watchStatus.lastError = `Watch error on chain ${chainId}: ${error.message}`;
+    }
+  }
+  watchStatus.lastPollAt = new Date();
+
+  if (!changed) return;
+
+  // Keep the same approval selected after re-sorting
+  updateApprovalCounts();
+  const selectedIndex = approvalsList.findIndex(
+    (approval) => approvalKey(approval) === selectedKey
+  );
+  selectedApprovalIndex =
+    selectedIndex >= 0
+      ? selectedIndex
+      : Math.max(0, Math.min(selectedApprovalIndex, approvalsList.length - 1));
+  currentPage = Math.floor(selectedApprovalIndex / PAGE_SIZE);
+
+  alertUnlimitedApprovals(newlyUnlimited);
+
+  // Don't redraw over a revoke confirmation that is waiting for an answer
+  if (!pendingRevoke) {
+    displayApprovalsList();
+    process.stdout.write(chalk.cyan.bold("> "));
+  }
+}
+
+// Poll for new blocks every --watch-interval seconds, never overlapping polls
+function startWatching() {
+  const intervalMs = Number(options.watchInterval) * 1000;
+  const poll = () => {
+    pollForChanges().finally(() => setTimeout(poll, intervalMs));
+  };
+  setTimeout(poll, intervalMs);
+}
+
+// File holding the approvals last reported to the webhook for an owner on a chain
+const webhookStatePath = (owner, chainId) =>
+  path.join(options.cacheDir, `${owner}-${chainId}-webhook.json`);
+
+// Load the approvals last reported for an owner on a chain, keyed by approvalKey,
+// or null before the first run
+function loadWebhookState(owner, chainId) {
+  try {
+    const saved = JSON.parse(
+      fs.readFileSync(webhookStatePath(owner, chainId), "utf8"),
+      checkpointReviver
+    );
+    if (saved.address !== owner || saved.chainId !== chainId) {
+      return null;
+    }
+    return saved.approvals;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Save the approvals reported for an owner on a chain so the next run only sends changes
+function saveWebhookState(owner, chainId, approvals) {
+  try {
+    fs.mkdirSync(options.cacheDir, { recursive: true });
+
+    const filePath = webhookStatePath(owner, chainId);
+    const content = JSON.stringify(
+      {
+        address: owner,
+        chainId,
+        savedAt: new Date().toISOString(),
+        approvals,
+      },
+      checkpointReplacer
+    );
+    fs.writeFileSync(`${filePath}.tmp`, content);
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  } catch (error) {
+    // A failed write means the same changes are sent again next run
+  }
+}
+
+// Name the change between two reports of an approval, or null if nothing relevant changed.
+// Both sides are serialized approvals; either may be missing.
+function classifyApprovalChange(chainId, before, after) {
+  if (!before) return "new";
+
+  if (!after) {
+    // An ERC20 approval still set on-chain but gone from the list was spent down
+    const approved =
+      before.approvalType === "erc20"
+        ? chainScanState[chainId]?.[before.owner]?.approvals?.[before.token]?.[
+            before.spender
+          ]?.amount
+        : null;
+    return approved > BigInt(0) ? "used" : "revoked";
+  }
+
+  // Operator and single NFT approvals have no amount to compare
+  if (after.remaining === null || before.remaining === null) return null;
+
+  if (after.isUnlimited !== before.isUnlimited) {
+    return after.isUnlimited ? "increased" : "decreased";
+  }
+  if (after.remaining > before.remaining) return "increased";
+  if (after.remaining < before.remaining) {
+    // Without a new approval, a lower remaining amount means transfers used it
+    return after.txHash === before.txHash ? "used" : "decreased";
+  }
+  return null;
+}
+
+// POST a payload, signing it if a secret is set, retrying network errors, 429s and 5xx
+async function deliverWebhook(payload) {
+  const body = JSON.stringify(payload, bigIntReplacer);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "snubb",
+    "X-Snubb-Event": payload.event,
+    // Stays the same across retries so receivers can drop duplicates
+    "X-Snubb-Delivery": crypto.randomUUID(),
+  };
+  if (options.webhookSecretEnv) {
+    const signature = crypto
+      .createHmac("sha256", process.env[options.webhookSecretEnv])
+      .update(body)
+      .digest("hex");
+    headers["X-Snubb-Signature"] = `sha256=${signature}`;
+  }
+
+  const retries = Number(options.webhookRetries);
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    // Back off 1s, 2s, 4s, ... between attempts
+    if (attempt > 0) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, 1000 * 2 ** (attempt - 1))
+      );
+    }
+
+    try {
+      const response = await fetch(options.webhook, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(10000),
+      });
+      if (response.ok) return;
+
+      lastError = new Error(`HTTP ${response.status}`);
+      // Other client errors won't succeed on a retry
+      if (response.status !== 429 && response.status < 500) break;
+    } catch (error) {
+      // fetch reports network failures as "fetch failed" with the reason in cause
+      lastError = error.cause?.message
+        ? new Error(`${error.message}: ${error.cause.message}`)
+        : error;
+    }
+  }
+  throw lastError;
+}
+
+// Send one webhook per approval that changed on a chain since the last report.
+// The first run only records a baseline. Returns a message per failed delivery.
+async function notifyApprovalChanges(chainId, approvals) {
+  await fetchAllTokenMetadata(approvals);
+
+  const failures = [];
+  for (const owner of TARGET_ADDRESSES) {
+    failures.push(
+      ...(await notifyOwnerApprovalChanges(
+        owner,
+        chainId,
+        approvals.filter((approval) => approval.owner === owner)
+      ))
+    );
+  }
+  return failures;
+}
+
+// Send the webhooks for one owner's approvals on a chain and update their baseline
+async function notifyOwnerApprovalChanges(owner, chainId, approvals) {
+  const current = Object.fromEntries(
+    approvals.map((approval) => [
+      approvalKey(approval),
+      serializeApproval(approval),
+    ])
+  );
+  const previous = loadWebhookState(owner, chainId);
+
+  const failures = [];
+  if (previous) {
+    const detectedAt = new Date().toISOString();
+    const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    for (const key of keys) {
+      const before = previous[key] || null;
+      const after = current[key] || null;
+      const change = classifyApprovalChange(chainId, before, after);
+      if (!change) continue;
+
+      // Approvals that left the list are reported with nothing remaining
+      const approval = after || {
+        ...before,
+        remaining: before.remaining === null ? null : BigInt(0),
+        isUnlimited: false,
+      };
+      try {
+        await deliverWebhook({
+          event: `approval.${change}`,
+          address: owner,
+          detectedAt,
+          approval,
+          previous: before,
+        });
+      } catch (error) {
+        failures.push(
+          `Webhook for ${change} approval to ${approval.spender} failed: ${error.message}`
+        );
+      }
+    }
+  }
+
+  // Keep the old baseline after a failure so the changes are sent again
+  if (failures.length === 0) saveWebhookState(owner, chainId, current);
+  return failures;
+}
+
 // Main function
 async function main() {
   // Clear the screen and show welcome message
-  console.clear();
-  console.log(chalk.bold.cyan(figlet.textSync("snubb", { font: "Doom" })));
-  console.log(
+  if (!QUIET_OUTPUT) console.clear();
+  logStatus(chalk.bold.cyan(figlet.textSync("snubb", { font: "Doom" })));
+  logStatus(
     chalk.bold.cyan("multichain token approval scanner") +
       " - " +
       chalk.cyan("powered by ") +
       chalk.cyan.underline("envio.dev") +
       "\n"
   );
-  console.log(chalk.yellow(`Address: ${chalk.green(TARGET_ADDRESS)}\n`));
+  if (IS_MULTI_ADDRESS) {
+    logStatus(chalk.yellow(`Addresses (${TARGET_ADDRESSES.length}):`));
+    TARGET_ADDRESSES.forEach((address) =>
+      logStatus(`  - ${chalk.green(formatAddressWithName(address))}`)
+    );
+    logStatus("");
+  } else {
+    logStatus(
+      chalk.yellow(
+        `Address: ${chalk.green(formatAddressWithName(TARGET_ADDRESSES[0]))}\n`
+      )
+    );
+  }
 
   // Show which chains will be scanned
-  console.log(chalk.yellow("Scanning chains:"));
+  logStatus(chalk.yellow("Scanning chains:"));
   for (const chainId of CHAIN_IDS) {
     const chain = SUPPORTED_CHAINS[chainId] || {
       name: `Chain ${chainId}`,
       color: "white",
     };
-    console.log(`  - ${formatChainName(chainId)}`);
+    logStatus(`  - ${formatChainName(chainId)}`);
   }
-  console.log("");
+  if (IS_HISTORICAL_SCAN) {
+    logStatus(
+      chalk.yellow(
+        `As of: ${chalk.green(
+          SCAN_TO_TIMESTAMP !== null
+            ? new Date(SCAN_TO_TIMESTAMP * 1000).toISOString()
+            : `block ${formatNumber(SCAN_TO_BLOCK)}`
+        )}`
+      )
+    );
+  }
+  logStatus("");
 
   try {
+    scanStartedAt = new Date();
+
     // Initialize chain statistics first (without spinner to show real-time progress)
-    console.log(chalk.bold.yellow("INITIALIZING CHAINS"));
+    logStatus(chalk.bold.yellow("INITIALIZING CHAINS"));
 
     // Get chain heights for all chains first
     for (const chainId of CHAIN_IDS) {
@@ -1358,12 +3967,53 @@ async function main() {
         });
 
         // Get chain height
-        console.log(`  Connecting to ${formatChainName(chainId)}...`);
+        logStatus(`  Connecting to ${formatChainName(chainId)}...`);
         const height = await client.getHeight();
         chainStats[chainId].height = height;
-        console.log(
+        logStatus(
           `  ${formatChainName(chainId)} height: ${formatNumber(height)}`
         );
+
+        // Resolve the historical cut-off to a block on this chain
+        if (IS_HISTORICAL_SCAN) {
+          try {
+            const cutoffBlock =
+              SCAN_TO_TIMESTAMP !== null
+                ? await findBlockAtTimestamp(
+                    client,
+                    SCAN_TO_TIMESTAMP,
+                    height - 1
+                  )
+                : Math.min(SCAN_TO_BLOCK, height - 1);
+            const cutoffHeader = await fetchBlockHeader(client, cutoffBlock);
+
+            chainStats[chainId].height = cutoffBlock;
+            chainStats[chainId].cutoffBlock = cutoffBlock;
+            chainStats[chainId].cutoffTimestamp =
+              cutoffHeader?.timestamp ?? SCAN_TO_TIMESTAMP;
+            logStatus(
+              `  ${formatChainName(chainId)} cut-off: block ${formatNumber(
+                cutoffBlock
+              )}${
+                cutoffHeader
+                  ? ` (${new Date(
+                      cutoffHeader.timestamp * 1000
+                    ).toISOString()})`
+                  : ""
+              }`
+            );
+          } catch (error) {
+            // Scanning past the requested point would give a wrong answer, so stop
+            console.error(
+              chalk.red(
+                `  Error resolving the cut-off block for ${formatChainName(
+                  chainId
+                )}: ${error.message}`
+              )
+            );
+            process.exit(1);
+          }
+        }
       } catch (error) {
         console.error(
           chalk.red(`  Error connecting to ${hypersyncUrl}: ${error.message}`)
@@ -1371,7 +4021,7 @@ async function main() {
       }
     }
 
-    console.log("\n" + chalk.bold.yellow("SCANNING PROGRESS"));
+    logStatus("\n" + chalk.bold.yellow("SCANNING PROGRESS"));
 
     // Display initial progress bars
     displayScanProgress();
@@ -1398,8 +4048,10 @@ async function main() {
           );
           chainStats[chainId].isScanning = false;
           chainStats[chainId].isComplete = true;
+          // Nothing was found on this chain, so it must not count as a clean scan
+          chainStats[chainId].hadErrors = true;
           displayScanProgress();
-          return { approvals: {}, transfersUsingApprovals: {} };
+          return createScanState();
         });
     });
 
@@ -1419,139 +4071,1706 @@ async function main() {
     // Clear the UI update interval (if not already cleared)
     clearInterval(uiUpdateInterval);
 
-    // Show completion message
-    console.log(chalk.green("\nAll chains scanned successfully!\n"));
+    // Show completion message; chains with errors may be missing approvals
+    const failedChains = CHAIN_IDS.filter(
+      (chainId) => chainStats[chainId].hadErrors
+    );
+    if (failedChains.length === 0) {
+      logStatus(chalk.green("\nAll chains scanned successfully!\n"));
+    } else {
+      logStatus(
+        chalk.yellow(
+          `\nScan finished with errors on ${failedChains
+            .map((chainId) => SUPPORTED_CHAINS[chainId]?.name || chainId)
+            .join(", ")}\n`
+        )
+      );
+    }
 
     // Process approvals from all chains
     approvalsList = [];
 
-    // Combine results from all chains
-    results.forEach(({ approvals, transfersUsingApprovals }, index) => {
+    // Combine results from all chains, keeping each chain's state for watch mode
+    results.forEach((result, index) => {
       const chainId = CHAIN_IDS[index];
-      let chainApprovalsCount = 0;
-
-      // Process approvals for this chain
-      for (const tokenAddress in approvals) {
-        for (const spender in approvals[tokenAddress]) {
-          const {
-            amount: approvedAmount,
-            blockNumber,
-            txHash,
-          } = approvals[tokenAddress][spender];
-          const transferredAmount =
-            transfersUsingApprovals[tokenAddress]?.[spender] || BigInt(0);
+      chainScanState[chainId] = result;
+      approvalsList.push(...buildChainApprovals(chainId, result));
+    });
 
-          // Calculate remaining approval
-          let remainingApproval;
-          let isUnlimited = false;
+    // Check the event-derived allowances against the chain
+    if (options.verify) {
+      const spinner = ora({
+        text: "Verifying allowances on-chain...",
+        isSilent: QUIET_OUTPUT,
+      }).start();
+      await verifyAllowances(approvalsList.filter(isVerificationCandidate));
+      const mismatches = approvalsList.filter(
+        (approval) => approval.allowanceMismatch
+      ).length;
+      spinner.succeed(
+        `Verified allowances on-chain (${mismatches} differ from event history)`
+      );
 
-          // Check for unlimited approval (common values)
-          if (
-            approvedAmount === BigInt(2) ** BigInt(256) - BigInt(1) ||
-            approvedAmount ===
-              BigInt(
-                "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff"
-              ) ||
-            isEffectivelyUnlimited(approvedAmount)
-          ) {
-            remainingApproval = approvedAmount;
-            isUnlimited = true;
-          } else {
-            remainingApproval =
-              approvedAmount > transferredAmount
-                ? approvedAmount - transferredAmount
-                : BigInt(0);
-          }
+      // Drop allowances the chain reports as fully used or revoked, and bring
+      // back used-up ones it still shows an allowance for
+      approvalsList = applyLiveAllowances(approvalsList);
+    }
 
-          // Only show non-zero remaining approvals
-          if (remainingApproval > 0) {
-            approvalsList.push({
-              chainId,
-              tokenAddress,
-              spender,
-              approvedAmount,
-              transferredAmount,
-              remainingApproval,
-              isUnlimited,
-              blockNumber,
-              txHash,
-            });
-            chainApprovalsCount++;
-          }
-        }
+    // Fetch balances so each approval shows how much is actually at risk
+    const exposureSpinner = ora({
+      text: "Fetching token balances...",
+      isSilent: QUIET_OUTPUT,
+    }).start();
+    await fetchExposure(approvalsList.filter(isActiveApproval));
+    exposureSpinner.succeed("Fetched token balances");
+
+    // Date each approval and its last spend, to tell how long it has sat unused
+    const timesSpinner = ora({
+      text: "Fetching approval times...",
+      isSilent: QUIET_OUTPUT,
+    }).start();
+    await fetchApprovalTimes(approvalsList);
+    timesSpinner.succeed("Fetched approval times");
+
+    // Check whether each spender is a contract or a plain wallet
+    const spenderSpinner = ora({
+      text: "Checking spender accounts...",
+      isSilent: QUIET_OUTPUT,
+    }).start();
+    await classifySpenders(approvalsList);
+    spenderSpinner.succeed("Checked spender accounts");
+
+    // Sort approvals and nest Permit2 allowances under their parent row
+    allApprovals = sortApprovals(approvalsList);
+
+    // Revokes, policies and webhooks only concern approvals still open, whether
+    // or not --dormant hides them from the list
+    const activeApprovals = allApprovals.filter(isActiveApproval);
+
+    // The list and reports show only the dormant ones with --dormant
+    approvalsList = sortApprovals(filterDisplayedApprovals(allApprovals));
+
+    // Update chain stats with approval counts
+    updateApprovalCounts();
+
+    // Report what changed since the last run; chains that hit scan errors may be
+    // missing approvals, so they keep their old baseline
+    if (options.webhook) {
+      for (const chainId of CHAIN_IDS) {
+        if (chainStats[chainId].hadErrors) continue;
+        const failures = await notifyApprovalChanges(
+          chainId,
+          activeApprovals.filter((approval) => approval.chainId === chainId)
+        );
+        failures.forEach((message) => console.error(chalk.yellow(message)));
       }
+    }
+
+    // Evaluate policy checks against the final list
+    let policyViolations = [];
+    if (POLICY_CHECKS_ENABLED) {
+      await fetchAllTokenMetadata(approvalsList);
+      policyViolations = checkPolicies(activeApprovals);
+    }
+    const exitCode =
+      policyViolations.length > 0
+        ? EXIT_POLICY_VIOLATION
+        : POLICY_CHECKS_ENABLED && failedChains.length > 0
+        ? EXIT_INCOMPLETE_SCAN
+        : 0;
+
+    // Write the report file before any other output mode
+    if (exportFormat) {
+      await fetchAllTokenMetadata(approvalsList);
+      const content =
+        exportFormat === "csv"
+          ? buildCsvReport()
+          : exportFormat === "html"
+          ? buildHtmlReport()
+          : buildMarkdownReport();
+      fs.writeFileSync(options.export, content);
+      logStatus(
+        chalk.green(
+          `Exported ${approvalsList.length} approvals to ${options.export}`
+        )
+      );
+    }
+
+    // Write Safe revoke batches for every approval found
+    if (options.safeBatch && activeApprovals.length > 0) {
+      const batchFiles = writeSafeBatches(options.safeBatch, activeApprovals);
+      logStatus(
+        chalk.green(
+          `Wrote Safe revoke batches for ${
+            activeApprovals.length
+          } approvals: ${batchFiles.join(", ")}`
+        )
+      );
+    }
+
+    // Policy results go to stderr so they never mix with JSON on stdout
+    if (POLICY_CHECKS_ENABLED) {
+      reportPolicyViolations(policyViolations, failedChains);
+    }
 
-      // Update chain stats with approval count
-      if (chainStats[chainId]) {
-        chainStats[chainId].approvalsCount = chainApprovalsCount;
+    // Print machine-readable output instead of starting the UI
+    if (options.json) {
+      await fetchAllTokenMetadata(approvalsList);
+      writeJsonOutput(exitCode, policyViolations);
+      return;
+    }
+
+    // File outputs and policy checks are non-interactive, so stop here
+    if (exportFormat || options.safeBatch || POLICY_CHECKS_ENABLED) {
+      rl.close();
+      process.exit(exitCode);
+    }
+
+    // Display summary
+    const shownActiveCount = approvalsList.filter(isActiveApproval).length;
+    const closedCount = approvalsList.length - shownActiveCount;
+    logStatus(
+      chalk.cyan(
+        `Found ${chalk.white(shownActiveCount)} ${
+          options.dormant ? "dormant" : "outstanding"
+        } approvals for ${chalk.white(
+          IS_MULTI_ADDRESS
+            ? `${TARGET_ADDRESSES.length} addresses`
+            : TARGET_ADDRESSES[0]
+        )}${
+          options.history
+            ? `, plus ${chalk.white(closedCount)} revoked or used up`
+            : ""
+        }\n`
+      )
+    );
+
+    // An empty list from a partial scan proves nothing, so don't call it secure
+    if (
+      approvalsList.length === 0 &&
+      !options.watch &&
+      failedChains.length > 0
+    ) {
+      console.log(
+        chalk.yellow(
+          `No approvals found, but the scan failed on ${failedChains
+            .map((chainId) => SUPPORTED_CHAINS[chainId]?.name || chainId)
+            .join(", ")}. Approvals there may be missing.`
+        )
+      );
+      rl.close();
+      process.exit(EXIT_INCOMPLETE_SCAN);
+    }
+
+    if (approvalsList.length === 0 && !options.watch) {
+      console.log(
+        chalk.green(
+          options.dormant
+            ? `No approvals unused for more than ${DORMANT_DAYS} days.`
+            : "No outstanding approvals found. Your wallets are secure!"
+        )
+      );
+      rl.close();
+      process.exit(0);
+    }
+
+    // Display initial approvals list
+    displayApprovalsList();
+
+    // Start interactive mode
+    startInteractivePrompt();
+
+    // Keep following new blocks
+    if (options.watch) {
+      startWatching();
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Turn a chain's scan state into approval entries for every owner
+const buildChainApprovals = (chainId, result) =>
+  Object.entries(result).flatMap(([owner, ownerState]) =>
+    buildOwnerApprovals(chainId, owner, ownerState)
+  );
+
+// Closing event of an approval, without the history entry's type and amount
+const toClosedBy = ({ blockNumber, timestamp, txHash }) => ({
+  blockNumber,
+  timestamp,
+  txHash,
+});
+
+// Turn one owner's scan state into approval entries, dropping expired ones and,
+// unless in history mode, revoked and used-up ones
+function buildOwnerApprovals(chainId, owner, ownerState) {
+  const { approvals, operatorApprovals, nftApprovals, permit2Allowances } =
+    ownerState;
+  const chainApprovals = [];
+
+  // Process approvals for this chain
+  for (const tokenAddress in approvals) {
+    for (const spender in approvals[tokenAddress]) {
+      const {
+        amount: approvedAmount,
+        used: transferredAmount = BigInt(0),
+        blockNumber,
+        txHash,
+        history,
+      } = approvals[tokenAddress][spender];
+
+      // Calculate remaining approval
+      let remainingApproval;
+      let isUnlimited = false;
+
+      // Check for unlimited approval (common values)
+      if (
+        approvedAmount === BigInt(2) ** BigInt(256) - BigInt(1) ||
+        approvedAmount ===
+          BigInt(
+            "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff"
+          ) ||
+        isEffectivelyUnlimited(approvedAmount)
+      ) {
+        remainingApproval = approvedAmount;
+        isUnlimited = true;
+      } else {
+        remainingApproval =
+          approvedAmount > transferredAmount
+            ? approvedAmount - transferredAmount
+            : BigInt(0);
+      }
+
+      const entry = {
+        chainId,
+        owner,
+        approvalType: "erc20",
+        tokenAddress,
+        spender,
+        approvedAmount,
+        transferredAmount,
+        remainingApproval,
+        isUnlimited,
+        blockNumber,
+        txHash,
+        history,
+      };
+
+      // Only show non-zero remaining approvals, plus in history mode the ones
+      // that were once granted and then revoked or used up. Used-up ones are
+      // also kept for verification, which may find allowance left on them
+      if (remainingApproval > 0) {
+        chainApprovals.push({ ...entry, status: "active" });
+      } else if (
+        (options.history || (options.verify && approvedAmount > BigInt(0))) &&
+        history.some(
+          (event) => event.type === "approval" && event.amount > BigInt(0)
+        )
+      ) {
+        chainApprovals.push({
+          ...entry,
+          status: approvedAmount === BigInt(0) ? "revoked" : "consumed",
+          closedBy: toClosedBy(history[history.length - 1]),
+        });
       }
+    }
+  }
+
+  // Process NFT operator approvals for this chain (revoked ones were already dropped)
+  for (const tokenAddress in operatorApprovals) {
+    for (const spender in operatorApprovals[tokenAddress]) {
+      const { blockNumber, timestamp, txHash, revokedBy } =
+        operatorApprovals[tokenAddress][spender];
+      if (revokedBy && !options.history) continue;
+
+      // An operator can move every NFT in the collection, so treat it as unlimited
+      chainApprovals.push({
+        chainId,
+        owner,
+        approvalType: "operator",
+        tokenAddress,
+        spender,
+        approvedAmount: null,
+        transferredAmount: null,
+        remainingApproval: null,
+        isUnlimited: !revokedBy,
+        blockNumber,
+        grantedAt: timestamp ?? null,
+        txHash,
+        ...(revokedBy
+          ? { status: "revoked", closedBy: toClosedBy(revokedBy) }
+          : { status: "active" }),
+      });
+    }
+  }
+
+  // Process single NFT approvals for this chain (transferred ones were already dropped)
+  for (const tokenAddress in nftApprovals) {
+    for (const tokenId in nftApprovals[tokenAddress]) {
+      const { spender, blockNumber, timestamp, txHash, revokedBy } =
+        nftApprovals[tokenAddress][tokenId];
+      if (revokedBy && !options.history) continue;
+
+      chainApprovals.push({
+        chainId,
+        owner,
+        approvalType: "erc721",
+        tokenAddress,
+        spender,
+        tokenId,
+        approvedAmount: null,
+        transferredAmount: null,
+        remainingApproval: null,
+        isUnlimited: false,
+        blockNumber,
+        grantedAt: timestamp ?? null,
+        txHash,
+        ...(revokedBy
+          ? { status: "revoked", closedBy: toClosedBy(revokedBy) }
+          : { status: "active" }),
+      });
+    }
+  }
+
+  // Process Permit2 allowances for this chain, hiding expired ones
+  const nowSeconds = scanTimeSeconds(chainId);
+  for (const tokenAddress in permit2Allowances) {
+    for (const spender in permit2Allowances[tokenAddress]) {
+      const {
+        amount,
+        expiration,
+        nonce,
+        blockNumber,
+        timestamp,
+        txHash,
+        revokedBy,
+      } = permit2Allowances[tokenAddress][spender];
+
+      if (revokedBy ? !options.history : amount === BigInt(0)) continue;
+      if (!revokedBy && expiration <= nowSeconds) continue;
+
+      chainApprovals.push({
+        chainId,
+        owner,
+        approvalType: "permit2",
+        tokenAddress,
+        spender,
+        via: PERMIT2_ADDRESS,
+        approvedAmount: amount,
+        transferredAmount: BigInt(0),
+        remainingApproval: revokedBy ? BigInt(0) : amount,
+        isUnlimited: !revokedBy && amount === MAX_UINT160,
+        expiration,
+        nonce,
+        blockNumber,
+        grantedAt: timestamp ?? null,
+        txHash,
+        ...(revokedBy
+          ? { status: "revoked", closedBy: toClosedBy(revokedBy) }
+          : { status: "active" }),
+      });
+    }
+  }
+
+  return chainApprovals;
+}
+
+// Recount each chain's approvals after the list changes
+function updateApprovalCounts() {
+  for (const chainId of CHAIN_IDS) {
+    if (chainStats[chainId]) {
+      chainStats[chainId].approvalsCount = approvalsList.filter(
+        (approval) => approval.chainId === chainId && isActiveApproval(approval)
+      ).length;
+    }
+  }
+}
+
+// Sort approvals with priority: by chain, unlimited first across tokens, then largest amounts
+function compareApprovals(a, b) {
+  // First by chain ID
+  if (a.chainId !== b.chainId) {
+    return a.chainId - b.chainId;
+  }
+
+  // Then by owner, in the order the addresses were given
+  if (a.owner !== b.owner) {
+    return (
+      TARGET_ADDRESSES.indexOf(a.owner) - TARGET_ADDRESSES.indexOf(b.owner)
+    );
+  }
+
+  // Revoked and used-up approvals from history mode go after the open ones
+  if (isActiveApproval(a) !== isActiveApproval(b)) {
+    return isActiveApproval(a) ? -1 : 1;
+  }
+
+  // Group by token + unlimited status to bring unlimited tokens to the top
+  const aIsUnlimitedToken =
+    a.isUnlimited || isEffectivelyUnlimited(a.remainingApproval);
+  const bIsUnlimitedToken =
+    b.isUnlimited || isEffectivelyUnlimited(b.remainingApproval);
+
+  // Sort unlimited tokens first within the same chain
+  if (aIsUnlimitedToken && !bIsUnlimitedToken) return -1;
+  if (!aIsUnlimitedToken && bIsUnlimitedToken) return 1;
+
+  // For tokens with the same unlimited status, sort by token address
+  if (a.tokenAddress !== b.tokenAddress) {
+    return a.tokenAddress.localeCompare(b.tokenAddress);
+  }
+
+  // Then by unlimited status (unlimited approvals first) for the same token
+  if (a.isUnlimited && !b.isUnlimited) return -1;
+  if (!a.isUnlimited && b.isUnlimited) return 1;
+
+  // Then by remaining approval amount (highest first) for same token, non-unlimited approvals
+  if (!a.isUnlimited && !b.isUnlimited) {
+    if (b.remainingApproval > a.remainingApproval) return 1;
+    if (b.remainingApproval < a.remainingApproval) return -1;
+  }
+
+  return 0;
+}
+
+// Sort approvals with the largest at-risk exposure first. With a price file loaded,
+// priced approvals rank by USD value ahead of unpriced ones, which compare by token units.
+function compareApprovalsByRisk(a, b) {
+  if (tokenPrices.size > 0) {
+    const aUsd = getUsdValue(a);
+    const bUsd = getUsdValue(b);
+    if (aUsd !== null && bUsd !== null) {
+      if (aUsd !== bUsd) return bUsd - aUsd;
+      return compareApprovals(a, b);
+    }
+    if (aUsd !== null) return -1;
+    if (bUsd !== null) return 1;
+  }
+
+  const aRisk = getAtRiskUnits(a);
+  const bRisk = getAtRiskUnits(b);
+  if (aRisk !== bRisk) return bRisk - aRisk;
+
+  // Fall back to the default order for equal exposure
+  return compareApprovals(a, b);
+}
+
+// Normalize the at-risk amount by token decimals so different tokens compare
+function getAtRiskUnits(approval) {
+  if (approval.atRisk === null || approval.atRisk === undefined) return -1;
+
+  const tokenMetadata = tokenMetadataCache.get(
+    `${approval.chainId}:${approval.tokenAddress}`
+  );
+  return Number(
+    formatTokenAmount(approval.atRisk, tokenMetadata?.decimals ?? 18)
+  );
+}
+
+// Sort approvals by the current sort mode, keeping Permit2 allowances nested
+function sortApprovals(approvals) {
+  const permit2Entries = approvals.filter(
+    (approval) => approval.approvalType === "permit2"
+  );
+  const sorted = approvals
+    .filter((approval) => approval.approvalType !== "permit2")
+    .sort(sortMode === "risk" ? compareApprovalsByRisk : compareApprovals);
+
+  return nestPermit2Allowances(sorted, permit2Entries);
+}
+
+// Place each Permit2 allowance right below the row approving Permit2 for that token.
+// Allowances without such a row are dropped, since Permit2 can no longer pull the token.
+function nestPermit2Allowances(sortedApprovals, permit2Entries) {
+  const nested = [];
+
+  for (const approval of sortedApprovals) {
+    nested.push(approval);
+
+    if (approval.spender === PERMIT2_ADDRESS) {
+      nested.push(
+        ...permit2Entries.filter(
+          (entry) =>
+            entry.chainId === approval.chainId &&
+            entry.owner === approval.owner &&
+            entry.tokenAddress === approval.tokenAddress
+        )
+      );
+    }
+  }
+
+  return nested;
+}
+
+// Fetch metadata for every token in the list, not just the visible page
+async function fetchAllTokenMetadata(approvals) {
+  const tokens = new Map();
+  approvals.forEach(({ chainId, tokenAddress }) => {
+    tokens.set(`${chainId}:${tokenAddress}`, { chainId, tokenAddress });
+  });
+
+  await mapInBatches([...tokens.values()], ({ chainId, tokenAddress }) =>
+    fetchTokenMetadata(tokenAddress, chainId)
+  );
+}
+
+// Flatten an approval into plain fields with its token metadata
+function serializeApproval(approval) {
+  const {
+    chainId,
+    owner,
+    approvalType,
+    tokenAddress,
+    spender,
+    approvedAmount,
+    transferredAmount,
+    remainingApproval,
+    isUnlimited,
+    blockNumber,
+    txHash,
+    // Watch-mode highlights are UI state, not part of the approval
+    watchChange,
+    changedAt,
+    // The history is only part of --json output
+    history,
+    ...extraFields
+  } = approval;
+  const tokenMetadata = tokenMetadataCache.get(`${chainId}:${tokenAddress}`);
+  const hasMetadata = Boolean(tokenMetadata && tokenMetadata.success);
+
+  return {
+    chainId,
+    chainName: SUPPORTED_CHAINS[chainId]?.name || `Chain ${chainId}`,
+    owner,
+    approvalType,
+    token: tokenAddress,
+    tokenName: hasMetadata ? tokenMetadata.name : null,
+    tokenSymbol: hasMetadata ? tokenMetadata.symbol : null,
+    tokenDecimals: hasMetadata ? tokenMetadata.decimals : null,
+    spender,
+    approved: approvedAmount,
+    used: transferredAmount,
+    remaining: remainingApproval,
+    isUnlimited,
+    blockNumber,
+    txHash,
+    ...extraFields,
+    ...(tokenPrices.size > 0 ? { usdValue: getUsdValue(approval) } : {}),
+  };
+}
+
+// Revoked and used-up approvals are only listed in history mode
+const isActiveApproval = (approval) => approval.status === "active";
+
+// Stable identity for an approval that survives re-sorting
+const approvalKey = (approval) =>
+  [
+    approval.chainId,
+    approval.owner,
+    approval.approvalType,
+    approval.tokenAddress,
+    approval.spender,
+    approval.tokenId ?? "",
+  ].join(":");
+
+// Contract call that revokes an approval: { to, abi, functionName, args }
+function getRevokeCall(approval) {
+  if (approval.approvalType === "operator") {
+    // setApprovalForAll(operator, false)
+    return {
+      to: approval.tokenAddress,
+      abi: NFT_ABI,
+      functionName: "setApprovalForAll",
+      args: [approval.spender, false],
+    };
+  }
+
+  if (approval.approvalType === "erc721") {
+    // Approving the zero address clears a single-token approval
+    return {
+      to: approval.tokenAddress,
+      abi: NFT_ABI,
+      functionName: "approve",
+      args: [ZERO_ADDRESS, BigInt(approval.tokenId)],
+    };
+  }
+
+  if (approval.approvalType === "permit2") {
+    // Permit2 allowances are revoked on Permit2 itself
+    return {
+      to: approval.via,
+      abi: PERMIT2_ABI,
+      functionName: "approve",
+      args: [approval.tokenAddress, approval.spender, BigInt(0), 0],
+    };
+  }
+
+  // approve(spender, 0)
+  return {
+    to: approval.tokenAddress,
+    abi: ERC20_ABI,
+    functionName: "approve",
+    args: [approval.spender, BigInt(0)],
+  };
+}
+
+// Build the unsigned transaction that revokes an approval
+function buildRevokeTransaction(approval) {
+  const { to, abi, functionName, args } = getRevokeCall(approval);
+  const data = encodeFunctionData({ abi, functionName, args });
+
+  return {
+    chainId: approval.chainId,
+    from: approval.owner,
+    to,
+    value: "0",
+    data,
+    approvalType: approval.approvalType,
+    token: approval.tokenAddress,
+    spender: approval.spender,
+    ...(approval.tokenId !== undefined ? { tokenId: approval.tokenId } : {}),
+  };
+}
+
+// Write unsigned revoke transactions for the given approvals as JSON
+function writeRevokeTransactions(filePath, approvals) {
+  const output = {
+    addresses: [...new Set(approvals.map((approval) => approval.owner))],
+    createdAt: new Date().toISOString(),
+    transactions: approvals.map(buildRevokeTransaction),
+  };
+
+  fs.writeFileSync(filePath, JSON.stringify(output, bigIntReplacer, 2) + "\n");
+}
+
+// Safe Transaction Builder's canonical serialization (sorted keys), used for its checksum
+const serializeSafeBatchJson = (json) => {
+  const replacer = (key, value) => (value === undefined ? null : value);
+
+  if (Array.isArray(json)) {
+    return `[${json.map(serializeSafeBatchJson).join(",")}]`;
+  }
+  if (typeof json === "object" && json !== null) {
+    const keys = Object.keys(json).sort();
+    const values = keys
+      .map((key) => `${serializeSafeBatchJson(json[key])},`)
+      .join("");
+    return `{${JSON.stringify(keys, replacer)}${values}}`;
+  }
+  return JSON.stringify(json, replacer);
+};
+
+// Build a Safe Transaction Builder batch revoking one Safe's approvals on a single chain
+function buildSafeBatch(chainId, owner, approvals) {
+  const transactions = approvals.map((approval) => {
+    const { to, abi, functionName, args } = getRevokeCall(approval);
+    const { inputs } = abi.find(
+      (item) => item.type === "function" && item.name === functionName
+    );
+
+    // Method metadata lets the Safe UI show the decoded call to signers
+    return {
+      to,
+      value: "0",
+      data: null,
+      contractMethod: {
+        inputs: inputs.map(({ name, type }) => ({
+          internalType: type,
+          name,
+          type,
+        })),
+        name: functionName,
+        payable: false,
+      },
+      contractInputsValues: Object.fromEntries(
+        inputs.map((input, index) => [input.name, String(args[index])])
+      ),
+    };
+  });
+
+  const chainName = SUPPORTED_CHAINS[chainId]?.name || `Chain ${chainId}`;
+  const batch = {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: `Revoke ${approvals.length} approval${
+        approvals.length === 1 ? "" : "s"
+      } on ${chainName}`,
+      description: "Revoke transactions generated by snubb",
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: getAddress(owner),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+
+  // The Transaction Builder checksums the batch with the name left out
+  batch.meta.checksum = keccak256(
+    toHex(
+      serializeSafeBatchJson({ ...batch, meta: { ...batch.meta, name: null } })
+    )
+  );
+
+  return batch;
+}
+
+// Write one Safe Transaction Builder batch file per owner and chain and return their paths
+function writeSafeBatches(directory, approvals) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const approvalsByBatch = new Map();
+  approvals.forEach((approval) => {
+    // Initialize owner and chain in approvalsByBatch map if needed
+    const batchKey = `${approval.owner}:${approval.chainId}`;
+    if (!approvalsByBatch.has(batchKey)) {
+      approvalsByBatch.set(batchKey, []);
+    }
+    approvalsByBatch.get(batchKey).push(approval);
+  });
+
+  return [...approvalsByBatch.values()].map((batchApprovals) => {
+    const { owner, chainId } = batchApprovals[0];
+    // Name files by owner too when several addresses were scanned
+    const fileName = IS_MULTI_ADDRESS
+      ? `safe-revoke-${owner}-${chainId}.json`
+      : `safe-revoke-${chainId}.json`;
+    const filePath = path.join(directory, fileName);
+    const batch = buildSafeBatch(chainId, owner, batchApprovals);
+    fs.writeFileSync(filePath, JSON.stringify(batch, null, 2) + "\n");
+    return filePath;
+  });
+}
+
+// Connect to each --revoke-rpc endpoint once and key it by the chain it serves
+async function getRevokeRpcClients() {
+  if (revokeRpcClients) return revokeRpcClients;
+
+  const clients = new Map();
+  for (const rpcUrl of options.revokeRpc) {
+    const publicClient = createRpcClient(rpcUrl);
+    const chainId = await publicClient.getChainId();
+    clients.set(chainId, {
+      rpcUrl,
+      publicClient,
+      walletClient: createWalletClient({
+        account: revokeAccount,
+        transport: http(rpcUrl),
+      }),
+    });
+  }
+
+  revokeRpcClients = clients;
+  return clients;
+}
+
+// Estimate gas for revoking each approval; failures are kept with their reason
+async function prepareRevokes(approvals) {
+  const clients = await getRevokeRpcClients();
+
+  return Promise.all(
+    approvals.map(async (approval) => {
+      const call = getRevokeCall(approval);
+      const client = clients.get(approval.chainId);
+
+      // The key can only revoke approvals its own address granted
+      if (approval.owner !== revokeAccount.address.toLowerCase()) {
+        return {
+          approval,
+          call,
+          error: `owned by ${approval.owner}, not the signing key`,
+        };
+      }
+      if (!client) {
+        return {
+          approval,
+          call,
+          error: `no --revoke-rpc for chain ${approval.chainId}`,
+        };
+      }
+
+      try {
+        const gas = await client.publicClient.estimateContractGas({
+          address: call.to,
+          abi: call.abi,
+          functionName: call.functionName,
+          args: call.args,
+          account: revokeAccount,
+        });
+        const gasPrice = await client.publicClient.getGasPrice();
+        return { approval, call, client, gas, gasPrice };
+      } catch (error) {
+        return { approval, call, error: error.shortMessage || error.message };
+      }
+    })
+  );
+}
+
+// Read an approval back from the chain and check that it is gone
+async function isApprovalCleared(publicClient, approval) {
+  if (approval.approvalType === "operator") {
+    const approved = await publicClient.readContract({
+      address: approval.tokenAddress,
+      abi: NFT_ABI,
+      functionName: "isApprovedForAll",
+      args: [approval.owner, approval.spender],
+    });
+    return !approved;
+  }
+
+  if (approval.approvalType === "erc721") {
+    const approved = await publicClient.readContract({
+      address: approval.tokenAddress,
+      abi: NFT_ABI,
+      functionName: "getApproved",
+      args: [BigInt(approval.tokenId)],
+    });
+    return approved.toLowerCase() !== approval.spender;
+  }
+
+  if (approval.approvalType === "permit2") {
+    const [amount] = await publicClient.readContract({
+      address: approval.via,
+      abi: PERMIT2_ABI,
+      functionName: "allowance",
+      args: [approval.owner, approval.tokenAddress, approval.spender],
     });
+    return amount === BigInt(0);
+  }
+
+  const allowance = await publicClient.readContract({
+    address: approval.tokenAddress,
+    abi: ERC20_ABI,
+    functionName: "allowance",
+    args: [approval.owner, approval.spender],
+  });
+  return allowance === BigInt(0);
+}
+
+// Sign and send each prepared revoke, wait for it, and re-verify the approval
+async function broadcastRevokes(prepared) {
+  const results = [];
+
+  for (const { approval, call, client, gas } of prepared) {
+    const label = describeApproval(approval);
+    try {
+      const hash = await client.walletClient.writeContract({
+        address: call.to,
+        abi: call.abi,
+        functionName: call.functionName,
+        args: call.args,
+        gas,
+        chain: null,
+      });
+      const receipt = await client.publicClient.waitForTransactionReceipt({
+        hash,
+        timeout: 120000,
+      });
+
+      if (receipt.status !== "success") {
+        results.push(chalk.red(`✗ ${label}\n  ${hash} reverted`));
+        continue;
+      }
+
+      const cleared = await isApprovalCleared(client.publicClient, approval);
+      if (cleared) {
+        approval.revoked = true;
+        results.push(
+          chalk.green(`✓ ${label}\n  ${hash} - approval cleared on-chain`)
+        );
+      } else {
+        results.push(
+          chalk.yellow(`? ${label}\n  ${hash} - approval still present`)
+        );
+      }
+    } catch (error) {
+      results.push(
+        chalk.red(`✗ ${label}\n  ${error.shortMessage || error.message}`)
+      );
+    }
+  }
+
+  return results;
+}
+
+// Ask for confirmation before broadcasting revokes for the marked approvals
+async function startRevoke() {
+  if (!revokeAccount) {
+    console.log(
+      chalk.red(
+        "No signing key configured. Start snubb with --private-key-env or --keystore and --revoke-rpc."
+      )
+    );
+    return;
+  }
+
+  const targets = getRevokeTargets();
+  if (targets.length === 0) {
+    reportNothingToRevoke();
+    return;
+  }
+
+  const spinner = ora("Estimating gas for revoke transactions...").start();
+  let prepared;
+  try {
+    prepared = await prepareRevokes(targets);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(`Could not reach the revoke RPC: ${error.message}`);
+    return;
+  }
+
+  const ready = prepared.filter((revoke) => !revoke.error);
+  const lines = prepared.map((revoke) => {
+    const { approval, call } = revoke;
+    const header = `${describeApproval(approval)}\n  ${
+      call.functionName
+    }(${call.args.map(String).join(", ")}) on ${call.to}`;
+    if (revoke.error) {
+      return chalk.red(`✗ ${header}\n  skipped: ${revoke.error}`);
+    }
+    const fee = formatUnits(revoke.gas * revoke.gasPrice, 18);
+    const symbol = NATIVE_SYMBOLS[approval.chainId] || "native";
+    return `${chalk.yellow("•")} ${header}\n  gas ${
+      revoke.gas
+    } (~${fee} ${symbol})`;
+  });
+
+  console.log(
+    boxen(
+      [
+        chalk.bold.cyan("CONFIRM REVOKE"),
+        "",
+        ...lines,
+        "",
+        ready.length > 0
+          ? chalk.bold.white(
+              `Type 'yes' to sign and broadcast ${ready.length} transaction${
+                ready.length === 1 ? "" : "s"
+              } from ${revokeAccount.address}. Anything else cancels.`
+            )
+          : chalk.red("Nothing to broadcast."),
+      ].join("\n"),
+      { padding: 1, borderColor: "red", borderStyle: "round" }
+    )
+  );
+
+  if (ready.length > 0) pendingRevoke = ready;
+}
+
+// Broadcast confirmed revokes, then drop the cleared approvals from the list
+async function finishRevoke(prepared) {
+  const spinner = ora(
+    `Broadcasting ${prepared.length} revoke transaction${
+      prepared.length === 1 ? "" : "s"
+    }...`
+  ).start();
+  const results = await broadcastRevokes(prepared);
+  spinner.stop();
+
+  prepared.forEach(({ approval }) => {
+    if (approval.revoked) markedApprovals.delete(approvalKey(approval));
+  });
+  approvalsList = approvalsList.filter((approval) => !approval.revoked);
+  allApprovals = allApprovals.filter((approval) => !approval.revoked);
+  updateApprovalCounts();
+  selectedApprovalIndex = Math.max(
+    0,
+    Math.min(selectedApprovalIndex, approvalsList.length - 1)
+  );
+  currentPage = Math.floor(selectedApprovalIndex / PAGE_SIZE);
+
+  displayApprovalsList();
+  console.log(
+    boxen([chalk.bold.cyan("REVOKE RESULTS"), "", ...results].join("\n"), {
+      padding: 1,
+      borderColor: "green",
+      borderStyle: "round",
+    })
+  );
+}
+
+// Short label for an approval in policy messages
+function describeApproval(approval) {
+  const tokenMetadata = tokenMetadataCache.get(
+    `${approval.chainId}:${approval.tokenAddress}`
+  );
+  const token =
+    tokenMetadata && tokenMetadata.success
+      ? `${tokenMetadata.symbol} (${approval.tokenAddress})`
+      : approval.tokenAddress;
+  const chain =
+    SUPPORTED_CHAINS[approval.chainId]?.name || `Chain ${approval.chainId}`;
+  const target =
+    approval.approvalType === "erc721" ? ` #${approval.tokenId}` : "";
+  // Name the owner when several addresses were scanned
+  const owner = IS_MULTI_ADDRESS ? ` ${approval.owner}` : "";
+
+  return `${chain}${owner}: ${token}${target} -> ${approval.spender}`;
+}
+
+// Check approvals against the policy flags and list every violation
+function checkPolicies(approvals) {
+  const violations = [];
+
+  if (options.failOnUnlimited) {
+    approvals
+      .filter(
+        (approval) =>
+          approval.isUnlimited ||
+          isEffectivelyUnlimited(approval.remainingApproval)
+      )
+      .forEach((approval) => {
+        violations.push({
+          policy: "unlimited",
+          message: `Unlimited approval: ${describeApproval(approval)}`,
+        });
+      });
+  }
+
+  if (options.maxApprovals !== undefined) {
+    const maxApprovals = parseInt(options.maxApprovals);
+    if (approvals.length > maxApprovals) {
+      violations.push({
+        policy: "max-approvals",
+        message: `${approvals.length} approvals found, more than the allowed ${maxApprovals}`,
+      });
+    }
+  }
+
+  if (spenderAllowlist) {
+    approvals
+      .filter((approval) => !spenderAllowlist.has(approval.spender))
+      .forEach((approval) => {
+        violations.push({
+          policy: "allowlist",
+          message: `Spender not on allowlist: ${describeApproval(approval)}`,
+        });
+      });
+  }
+
+  return violations;
+}
+
+// Print the policy check result to stderr
+function reportPolicyViolations(violations, failedChains = []) {
+  // A partial scan can't pass: the missing approvals were never checked
+  if (failedChains.length > 0) {
+    console.error(
+      chalk.red.bold(
+        `Policy checks incomplete, scan failed on: ${failedChains
+          .map(
+            (chainId) =>
+              `${SUPPORTED_CHAINS[chainId]?.name || "Chain"} (${chainId})`
+          )
+          .join(", ")}`
+      )
+    );
+  }
+
+  if (violations.length === 0) {
+    if (failedChains.length === 0) {
+      console.error(chalk.green("Policy checks passed"));
+    }
+    return;
+  }
+
+  console.error(chalk.red.bold(`Policy violations (${violations.length}):`));
+  violations.forEach((violation) => {
+    console.error(chalk.red(`  - ${violation.message}`));
+  });
+}
+
+// JSON.stringify replacer that writes BigInts as decimal strings
+const bigIntReplacer = (key, value) =>
+  typeof value === "bigint" ? value.toString() : value;
+
+// Print the scan result as JSON and exit once stdout has drained
+function writeJsonOutput(exitCode = 0, policyViolations = []) {
+  const output = {
+    // A single-address scan keeps the original address field
+    ...(IS_MULTI_ADDRESS ? {} : { address: TARGET_ADDRESSES[0] }),
+    addresses: TARGET_ADDRESSES,
+    scannedAt: new Date().toISOString(),
+    chains: CHAIN_IDS.map((chainId) => ({
+      chainId,
+      name: SUPPORTED_CHAINS[chainId]?.name || `Chain ${chainId}`,
+      height: chainStats[chainId]?.height || 0,
+      approvalsCount: chainStats[chainId]?.approvalsCount || 0,
+      hadErrors: Boolean(chainStats[chainId]?.hadErrors),
+      ...(IS_HISTORICAL_SCAN
+        ? {
+            cutoffBlock: chainStats[chainId]?.cutoffBlock ?? null,
+            cutoffTimestamp: chainStats[chainId]?.cutoffTimestamp ?? null,
+          }
+        : {}),
+    })),
+    owners: summarizeOwners(),
+    approvals: approvalsList.map((approval) => ({
+      ...serializeApproval(approval),
+      ...(approval.history ? { history: approval.history } : {}),
+    })),
+    ...(POLICY_CHECKS_ENABLED ? { policyViolations } : {}),
+  };
+
+  process.stdout.write(JSON.stringify(output, bigIntReplacer, 2) + "\n", () => {
+    rl.close();
+    process.exit(exitCode);
+  });
+}
+
+// Unix time as an ISO date for reports, or empty when unknown
+const formatIsoTime = (timestamp) =>
+  timestamp === null || timestamp === undefined
+    ? ""
+    : new Date(timestamp * 1000).toISOString();
+
+// Plain-text row for an approval, matching the columns of displayApprovalsTable
+function buildReportRow(approval) {
+  const tokenMetadata = tokenMetadataCache.get(
+    `${approval.chainId}:${approval.tokenAddress}`
+  );
+  const displayAsUnlimited =
+    approval.isUnlimited || isEffectivelyUnlimited(approval.remainingApproval);
+
+  // Same amount labels as the table, without colors
+  const amount = !isActiveApproval(approval)
+    ? "-"
+    : approval.approvalType === "operator"
+    ? "ALL NFTs"
+    : approval.approvalType === "erc721"
+    ? `Token #${approval.tokenId}`
+    : displayAsUnlimited
+    ? "∞ (Unlimited)"
+    : formatAmount(approval.remainingApproval, tokenMetadata);
+
+  const atRisk =
+    approval.atRisk === undefined
+      ? "-"
+      : approval.atRisk === null
+      ? "unknown"
+      : formatAmount(approval.atRisk, tokenMetadata);
+
+  // NFT approvals have no fungible amount to price
+  const usdValue = getUsdValue(approval);
+  const usd =
+    approval.atRisk === undefined
+      ? "-"
+      : approval.atRisk === null
+      ? "unknown"
+      : usdValue === null
+      ? "unpriced"
+      : formatUsd(usdValue);
+
+  return {
+    chain:
+      SUPPORTED_CHAINS[approval.chainId]?.name || `Chain ${approval.chainId}`,
+    chainId: approval.chainId,
+    owner: approval.owner,
+    token: tokenMetadata && tokenMetadata.success ? tokenMetadata.symbol : "",
+    tokenAddress: approval.tokenAddress,
+    spender: approval.spender,
+    spenderType: SPENDER_KIND_LABELS[approval.spenderKind] || "",
+    type:
+      approval.approvalType === "permit2"
+        ? `permit2 (via ${approval.via})`
+        : approval.approvalType,
+    status: isActiveApproval(approval)
+      ? "active"
+      : `${approval.status === "consumed" ? "used up" : "revoked"} in block ${
+          approval.closedBy.blockNumber
+        }`,
+    amount,
+    atRisk,
+    ...(tokenPrices.size > 0 ? { usd } : {}),
+    expires:
+      approval.approvalType === "permit2"
+        ? new Date(approval.expiration * 1000).toISOString()
+        : "",
+    grantedAt: formatIsoTime(approval.grantedAt),
+    lastUsedAt: formatIsoTime(approval.lastUsedAt),
+    dormant: approval.isDormant ? "yes" : "",
+    mismatch: approval.allowanceMismatch ? "yes" : "",
+    blockNumber: approval.blockNumber,
+    txHash: approval.txHash,
+  };
+}
+
+// Column headers for the exported reports
+const REPORT_COLUMNS = {
+  chain: "Chain",
+  chainId: "Chain ID",
+  owner: "Owner",
+  token: "Token",
+  tokenAddress: "Token Address",
+  spender: "Spender",
+  spenderType: "Spender Type",
+  type: "Type",
+  status: "Status",
+  amount: "Amount",
+  atRisk: "At Risk",
+  usd: "USD",
+  expires: "Expires",
+  grantedAt: "Granted",
+  lastUsedAt: "Last Used",
+  dormant: "Dormant",
+  mismatch: "On-chain Mismatch",
+  blockNumber: "Block",
+  txHash: "Transaction Hash",
+};
+
+// Quote a CSV field, neutralising values a spreadsheet would run as a formula
+const escapeCsvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && text.length > 1) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Report columns in use: USD only with a price file, owner only for several
+// addresses, status only in history mode
+const isReportColumnShown = (key) =>
+  (key !== "usd" || tokenPrices.size > 0) &&
+  (key !== "owner" || IS_MULTI_ADDRESS) &&
+  (key !== "status" || options.history);
+
+// Build the CSV report of all approvals
+function buildCsvReport() {
+  const rows = approvalsList.map(buildReportRow);
+  const keys = Object.keys(REPORT_COLUMNS).filter(isReportColumnShown);
+
+  return (
+    [
+      keys.map((key) => escapeCsvField(REPORT_COLUMNS[key])).join(","),
+      ...rows.map((row) =>
+        keys.map((key) => escapeCsvField(row[key])).join(",")
+      ),
+    ].join("\r\n") + "\r\n"
+  );
+}
+
+// Escape a Markdown table cell
+const escapeMarkdownCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+};
+
+// Render a Markdown table from a header row and data rows
+const markdownTable = (head, rows) => {
+  return [
+    `| ${head.map(escapeMarkdownCell).join(" | ")} |`,
+    `| ${head.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(escapeMarkdownCell).join(" | ")} |`),
+  ].join("\n");
+};
+
+// Format a chain's USD exposure as plain text
+const formatUsdExposureText = ({ usd, unpriced, balanceUnknown }) => {
+  const notes = [
+    ...(unpriced > 0 ? [`+${unpriced} unpriced`] : []),
+    ...(balanceUnknown > 0 ? [`+${balanceUnknown} balance unknown`] : []),
+  ];
+  return `${formatUsd(usd)}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`;
+};
+
+// A scanned address in code style, followed by its name if it has one
+const markdownAddress = (address) => {
+  const name = addressNames.get(address);
+  return name ? `\`${address}\` (${name})` : `\`${address}\``;
+};
+
+// Build the Markdown report: the scan summary, then one table per chain
+function buildMarkdownReport() {
+  const usdExposure = tokenPrices.size > 0 ? summarizeUsdExposure() : null;
+  const rows = approvalsList.map(buildReportRow);
+  const keys = Object.keys(REPORT_COLUMNS).filter(
+    (key) => key !== "chain" && key !== "chainId" && isReportColumnShown(key)
+  );
+
+  const lines = [
+    "# snubb approval report",
+    "",
+    IS_MULTI_ADDRESS
+      ? `- **Addresses:** ${TARGET_ADDRESSES.map(markdownAddress).join(", ")}`
+      : `- **Address:** ${markdownAddress(TARGET_ADDRESSES[0])}`,
+    `- **Generated:** ${new Date().toISOString()}`,
+    "",
+    "## Summary",
+    "",
+  ];
+
+  // Per-chain totals, as in displayScanSummary
+  let totalApprovals = 0;
+  const summaryRows = [];
+  for (const chainId of CHAIN_IDS) {
+    const stats = chainStats[chainId];
+    if (!stats) continue;
 
-    // Sort approvals with priority: by chain, unlimited first across tokens, then largest amounts
-    approvalsList.sort((a, b) => {
-      // First by chain ID
-      if (a.chainId !== b.chainId) {
-        return a.chainId - b.chainId;
-      }
+    summaryRows.push([
+      SUPPORTED_CHAINS[chainId]?.name || `Chain ${chainId}`,
+      formatNumber(stats.height),
+      formatNumber(stats.totalEvents),
+      `${(stats.endTime / 1000).toFixed(1)}s`,
+      stats.approvalsCount,
+      ...(usdExposure
+        ? [
+            formatUsdExposureText(
+              usdExposure.byChain[chainId] || EMPTY_USD_EXPOSURE
+            ),
+          ]
+        : []),
+    ]);
+    totalApprovals += stats.approvalsCount;
+  }
+  summaryRows.push([
+    "**TOTAL**",
+    "",
+    "",
+    "",
+    `**${totalApprovals}**`,
+    ...(usdExposure ? [`**${formatUsdExposureText(usdExposure.total)}**`] : []),
+  ]);
 
-      // Group by token + unlimited status to bring unlimited tokens to the top
-      const aIsUnlimitedToken =
-        a.isUnlimited || isEffectivelyUnlimited(a.remainingApproval);
-      const bIsUnlimitedToken =
-        b.isUnlimited || isEffectivelyUnlimited(b.remainingApproval);
+  lines.push(
+    markdownTable(
+      [
+        "Chain",
+        "Height",
+        "Events",
+        "Time",
+        "Approvals",
+        ...(usdExposure ? ["USD At Risk"] : []),
+      ],
+      summaryRows
+    ),
+    ""
+  );
 
-      // Sort unlimited tokens first within the same chain
-      if (aIsUnlimitedToken && !bIsUnlimitedToken) return -1;
-      if (!aIsUnlimitedToken && bIsUnlimitedToken) return 1;
+  // Per-owner totals, as in displayOwnerSummary
+  if (IS_MULTI_ADDRESS) {
+    lines.push(
+      "## Owners",
+      "",
+      markdownTable(
+        [
+          "Owner",
+          "Approvals",
+          "Unlimited",
+          ...(usdExposure ? ["USD At Risk"] : []),
+        ],
+        summarizeOwners().map(({ owner, approvalsCount, unlimitedCount }) => [
+          markdownAddress(owner),
+          approvalsCount,
+          unlimitedCount,
+          ...(usdExposure
+            ? [
+                formatUsdExposureText(
+                  usdExposure.byOwner[owner] || EMPTY_USD_EXPOSURE
+                ),
+              ]
+            : []),
+        ])
+      ),
+      ""
+    );
+  }
 
-      // For tokens with the same unlimited status, sort by token address
-      if (a.tokenAddress !== b.tokenAddress) {
-        return a.tokenAddress.localeCompare(b.tokenAddress);
-      }
+  // One table per chain
+  for (const chainId of CHAIN_IDS) {
+    const chainRows = rows.filter((row) => row.chainId === chainId);
+    if (chainRows.length === 0) continue;
 
-      // Then by unlimited status (unlimited approvals first) for the same token
-      if (a.isUnlimited && !b.isUnlimited) return -1;
-      if (!a.isUnlimited && b.isUnlimited) return 1;
+    lines.push(
+      `## ${SUPPORTED_CHAINS[chainId]?.name || `Chain ${chainId}`}`,
+      "",
+      markdownTable(
+        keys.map((key) => REPORT_COLUMNS[key]),
+        chainRows.map((row) =>
+          keys.map((key) =>
+            key.endsWith("Address") ||
+            key === "owner" ||
+            key === "spender" ||
+            key === "txHash"
+              ? `\`${row[key]}\``
+              : row[key]
+          )
+        )
+      ),
+      ""
+    );
+  }
 
-      // Then by remaining approval amount (highest first) for same token, non-unlimited approvals
-      if (!a.isUnlimited && !b.isUnlimited) {
-        if (b.remainingApproval > a.remainingApproval) return 1;
-        if (b.remainingApproval < a.remainingApproval) return -1;
-      }
+  return lines.join("\n");
+}
 
-      return 0;
-    });
+// Link to an address or transaction on the chain's block explorer
+const explorerLink = (chainId, kind, value) => {
+  const explorerUrl = BLOCK_EXPLORERS[chainId];
+  return explorerUrl ? `${explorerUrl}/${kind}/${value}` : null;
+};
 
-    // Display summary
-    console.log(
-      chalk.cyan(
-        `Found ${chalk.white(
-          approvalsList.length
-        )} outstanding approvals for ${chalk.white(TARGET_ADDRESS)}\n`
-      )
-    );
+// Escape text for HTML output
+const escapeHtml = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
 
-    if (approvalsList.length === 0) {
-      console.log(
-        chalk.green("No outstanding approvals found. Your wallets are secure!")
-      );
-      rl.close();
-      process.exit(0);
-    }
+// Render an HTML link to the explorer, or plain text when the chain has none
+const htmlExplorerLink = (chainId, kind, value, label = value) => {
+  const url = explorerLink(chainId, kind, value);
+  return url
+    ? `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`
+    : escapeHtml(label);
+};
 
-    // Display initial approvals list
-    displayApprovalsList();
+// Build a single-file HTML audit report with a sortable approvals table
+function buildHtmlReport() {
+  const usdExposure = tokenPrices.size > 0 ? summarizeUsdExposure() : null;
 
-    // Start interactive mode
-    startInteractivePrompt();
-  } catch (error) {
-    console.error(chalk.red(`Error: ${error.message}`));
-    process.exit(1);
-  }
+  // Scan metadata: one row per chain with the height it was scanned to
+  const chainRows = CHAIN_IDS.filter((chainId) => chainStats[chainId])
+    .map((chainId) => {
+      const stats = chainStats[chainId];
+      return `<tr><td>${escapeHtml(
+        SUPPORTED_CHAINS[chainId]?.name || `Chain ${chainId}`
+      )}</td><td>${chainId}</td><td>${formatNumber(
+        stats.height
+      )}</td><td>${formatNumber(stats.totalEvents)}</td><td>${
+        stats.approvalsCount
+      }</td>${
+        usdExposure
+          ? `<td>${escapeHtml(
+              formatUsdExposureText(
+                usdExposure.byChain[chainId] || EMPTY_USD_EXPOSURE
+              )
+            )}</td>`
+          : ""
+      }</tr>`;
+    })
+    .join("\n");
+
+  // Per-owner totals when several addresses were scanned
+  const ownerRows = summarizeOwners()
+    .map(
+      ({ owner, approvalsCount, unlimitedCount }) =>
+        `<tr><td class="mono">${escapeHtml(
+          formatAddressWithName(owner)
+        )}</td><td>${approvalsCount}</td><td>${unlimitedCount}</td>${
+          usdExposure
+            ? `<td>${escapeHtml(
+                formatUsdExposureText(
+                  usdExposure.byOwner[owner] || EMPTY_USD_EXPOSURE
+                )
+              )}</td>`
+            : ""
+        }</tr>`
+    )
+    .join("\n");
+
+  // Approval rows, with numeric sort keys for the amount columns
+  const approvalRows = approvalsList
+    .map((approval) => {
+      const row = buildReportRow(approval);
+      const tokenMetadata = tokenMetadataCache.get(
+        `${approval.chainId}:${approval.tokenAddress}`
+      );
+      const decimals = tokenMetadata?.decimals ?? 18;
+      const isUnlimitedRow =
+        isActiveApproval(approval) &&
+        (approval.approvalType === "operator" ||
+          approval.isUnlimited ||
+          isEffectivelyUnlimited(approval.remainingApproval));
+
+      const amountSortKey = isUnlimitedRow
+        ? Number.MAX_VALUE
+        : approval.remainingApproval === null
+        ? -1
+        : Number(formatTokenAmount(approval.remainingApproval, decimals));
+      const atRiskSortKey = getAtRiskUnits(approval);
+
+      const amountCell =
+        approval.approvalType !== "operator" && isUnlimitedRow
+          ? `<span class="warn">⚠️ ∞</span>`
+          : approval.approvalType === "operator" && isUnlimitedRow
+          ? `<span class="warn">⚠️ ${escapeHtml(row.amount)}</span>`
+          : escapeHtml(row.amount);
+
+      return `<tr${isUnlimitedRow ? ' class="unlimited"' : ""}>
+<td>${escapeHtml(row.chain)}</td>
+${
+  IS_MULTI_ADDRESS
+    ? `<td class="mono">${htmlExplorerLink(
+        approval.chainId,
+        "address",
+        approval.owner
+      )}</td>\n`
+    : ""
+}<td>${htmlExplorerLink(
+        approval.chainId,
+        "address",
+        approval.tokenAddress,
+        row.token || approval.tokenAddress
+      )}</td>
+<td class="mono">${htmlExplorerLink(
+        approval.chainId,
+        "address",
+        approval.spender
+      )}</td>
+<td${approval.spenderKind === "eoa" ? ' class="warn"' : ""}>${escapeHtml(
+        row.spenderType
+      )}</td>
+<td>${escapeHtml(row.type)}</td>
+${
+  options.history ? `<td>${escapeHtml(row.status)}</td>\n` : ""
+}<td data-sort="${amountSortKey}">${amountCell}</td>
+<td data-sort="${atRiskSortKey}">${escapeHtml(row.atRisk)}</td>
+${
+  usdExposure
+    ? `<td data-sort="${getUsdValue(approval) ?? -1}">${escapeHtml(
+        row.usd
+      )}</td>\n`
+    : ""
+}<td>${escapeHtml(row.expires)}</td>
+<td data-sort="${approval.grantedAt ?? 0}">${escapeHtml(
+        row.grantedAt.slice(0, 10)
+      )}</td>
+<td data-sort="${approval.lastUsedAt ?? 0}">${escapeHtml(
+        row.lastUsedAt.slice(0, 10)
+      )}</td>
+<td>${row.dormant}</td>
+<td data-sort="${approval.blockNumber}">${approval.blockNumber}</td>
+<td class="mono">${htmlExplorerLink(
+        approval.chainId,
+        "tx",
+        approval.txHash,
+        `${approval.txHash.slice(0, 10)}…`
+      )}</td>
+</tr>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>snubb approval report - ${escapeHtml(
+    IS_MULTI_ADDRESS
+      ? `${TARGET_ADDRESSES.length} addresses`
+      : TARGET_ADDRESSES[0]
+  )}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { margin-bottom: 0.25rem; }
+table { border-collapse: collapse; margin: 1rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f6f8fa; }
+#approvals th { cursor: pointer; user-select: none; }
+#approvals th::after { content: " ↕"; color: #8c959f; }
+tr.unlimited { background: #ffebe9; }
+.warn { color: #cf222e; font-weight: bold; }
+.mono { font-family: ui-monospace, Menlo, Consolas, monospace; }
+dt { font-weight: bold; float: left; clear: left; width: 9rem; }
+dd { margin-left: 9rem; }
+</style>
+</head>
+<body>
+<h1>snubb approval report</h1>
+<dl>
+<dt>${
+    IS_MULTI_ADDRESS ? "Addresses" : "Address"
+  }</dt><dd class="mono">${TARGET_ADDRESSES.map((address) =>
+    escapeHtml(formatAddressWithName(address))
+  ).join("<br>")}</dd>
+<dt>Scanned at</dt><dd>${escapeHtml(
+    (scanStartedAt || new Date()).toISOString()
+  )}</dd>
+<dt>Approvals</dt><dd>${approvalsList.length}</dd>
+${
+  usdExposure
+    ? `<dt>USD at risk</dt><dd>${escapeHtml(
+        formatUsdExposureText(usdExposure.total)
+      )}</dd>\n`
+    : ""
+}</dl>
+
+<h2>Chains</h2>
+<table>
+<thead><tr><th>Chain</th><th>Chain ID</th><th>Block Height</th><th>Events</th><th>Approvals</th>${
+    usdExposure ? "<th>USD At Risk</th>" : ""
+  }</tr></thead>
+<tbody>
+${chainRows}
+</tbody>
+</table>
+${
+  IS_MULTI_ADDRESS
+    ? `
+<h2>Owners</h2>
+<table>
+<thead><tr><th>Owner</th><th>Approvals</th><th>Unlimited</th>${
+        usdExposure ? "<th>USD At Risk</th>" : ""
+      }</tr></thead>
+<tbody>
+${ownerRows}
+</tbody>
+</table>
+`
+    : ""
+}
+<h2>Approvals</h2>
+<table id="approvals">
+<thead><tr><th>Chain</th>${
+    IS_MULTI_ADDRESS ? "<th>Owner</th>" : ""
+  }<th>Token</th><th>Spender</th><th>Spender Type</th><th>Type</th>${
+    options.history ? "<th>Status</th>" : ""
+  }<th>Amount</th><th>At Risk</th>${
+    usdExposure ? "<th>USD</th>" : ""
+  }<th>Expires</th><th>Granted</th><th>Last Used</th><th>Dormant</th><th>Block</th><th>Transaction</th></tr></thead>
+<tbody>
+${approvalRows}
+</tbody>
+</table>
+
+<script>
+// Sort the approvals table by the clicked column, toggling direction
+document.querySelectorAll("#approvals th").forEach((th, column) => {
+  th.addEventListener("click", () => {
+    const tbody = document.querySelector("#approvals tbody");
+    const ascending = th.dataset.order !== "asc";
+    th.dataset.order = ascending ? "asc" : "desc";
+    const key = (row) => {
+      const cell = row.children[column];
+      return cell.dataset.sort !== undefined
+        ? Number(cell.dataset.sort)
+        : cell.textContent.trim().toLowerCase();
+    };
+    const rows = Array.from(tbody.rows).sort((a, b) => {
+      const [x, y] = [key(a), key(b)];
+      const result = x < y ? -1 : x > y ? 1 : 0;
+      return ascending ? result : -result;
+    });
+    rows.forEach((row) => tbody.appendChild(row));
+  });
+});
+</script>
+</body>
+</html>
+`;
 }
 
 // Function to display ongoing scan progress
 function displayScanProgress() {
+  // Progress redraws would corrupt machine-readable output
+  if (QUIET_OUTPUT) return;
+
   // No need to clear the screen - we want to see continuous updates
 
   // Calculate maximum width needed for chain names
@@ -1614,13 +5833,24 @@ function displayScanProgress() {
         SUPPORTED_CHAINS[chainId]?.color || "cyan"
       );
 
+      // Note chains that resumed from a saved checkpoint or rolled one back
+      const resumedDisplay = stats.rolledBackFrom
+        ? chalk.yellow(
+            ` | reorg: rolled back from ${formatNumber(
+              stats.rolledBackFrom
+            )} to ${formatNumber(stats.resumedFrom || 0)}`
+          )
+        : stats.resumedFrom
+        ? chalk.dim(` | resumed from ${formatNumber(stats.resumedFrom)}`)
+        : "";
+
       // Show completed chain with checkmark and better alignment
       process.stdout.write(
         `\r${formatChainName(chainId).padEnd(chainNameWidth)}: ${
           stats.progressBar
         } ${chalk.green(
           "✓"
-        )} Complete | Events: ${eventsDisplay} in ${timeDisplay}        `
+        )} Complete | Events: ${eventsDisplay} in ${timeDisplay}${resumedDisplay}        `
       );
       process.stdout.write("\n");
     }
@@ -1639,6 +5869,699 @@ function displayScanProgress() {
   process.stdout.write(`\x1b[${CHAIN_IDS.length}A`);
 }
 
+// Checkpoint file for the scanned addresses on a chain. The addresses share one
+// stream, so a set of several is keyed by a hash of the sorted list.
+const checkpointPath = (chainId) => {
+  const scanKey = IS_MULTI_ADDRESS
+    ? `addresses-${crypto
+        .createHash("sha256")
+        .update([...TARGET_ADDRESSES].sort().join(","))
+        .digest("hex")
+        .slice(0, 16)}`
+    : TARGET_ADDRESSES[0];
+  return path.join(options.cacheDir, `${scanKey}-${chainId}.json`);
+};
+
+// BigInts are stored as "123n" strings so they survive the JSON round trip
+const checkpointReplacer = (key, value) =>
+  typeof value === "bigint" ? `${value}n` : value;
+const checkpointReviver = (key, value) =>
+  typeof value === "string" && /^\d+n$/.test(value)
+    ? BigInt(value.slice(0, -1))
+    : value;
+
+// Blocks this far behind the tip are treated as final for checkpointing
+const getConfirmationDepth = (chainId) =>
+  SUPPORTED_CHAINS[chainId]?.confirmations ?? confirmationDepth(chainId);
+
+// Load the saved scan state for a chain, or null if missing, outdated or unreadable
+function loadCheckpoint(chainId) {
+  if (options.fullRescan) return null;
+
+  try {
+    const checkpoint = JSON.parse(
+      fs.readFileSync(checkpointPath(chainId), "utf8"),
+      checkpointReviver
+    );
+
+    // A different format version means the state layout changed, so start over
+    if (
+      checkpoint.version !== CHECKPOINT_VERSION ||
+      [...checkpoint.addresses].sort().join(",") !==
+        [...TARGET_ADDRESSES].sort().join(",") ||
+      checkpoint.chainId !== chainId
+    ) {
+      return null;
+    }
+    return checkpoint;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Save a chain's snapshots, oldest first; each holds the state up to its blockNumber
+function saveCheckpoint(chainId, snapshots) {
+  try {
+    fs.mkdirSync(options.cacheDir, { recursive: true });
+
+    // Write to a temp file first so an interrupted run never leaves a torn cache
+    const filePath = checkpointPath(chainId);
+    const content = JSON.stringify(
+      {
+        version: CHECKPOINT_VERSION,
+        addresses: TARGET_ADDRESSES,
+        chainId,
+        savedAt: new Date().toISOString(),
+        snapshots: snapshots.slice(-MAX_CHECKPOINT_SNAPSHOTS),
+      },
+      checkpointReplacer
+    );
+    fs.writeFileSync(`${filePath}.tmp`, content);
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  } catch (error) {
+    // A failed write only costs a full rescan next time
+  }
+}
+
+// Fetch a block's number, hash and timestamp from Hypersync, or null if it isn't available
+async function fetchBlockHeader(client, blockNumber) {
+  const res = await client.get({
+    fromBlock: blockNumber,
+    toBlock: blockNumber + 1,
+    includeAllBlocks: true,
+    fieldSelection: {
+      block: [BlockField.Number, BlockField.Hash, BlockField.Timestamp],
+    },
+  });
+  const block = res.data?.blocks?.find((b) => b.number === blockNumber);
+  return block
+    ? {
+        number: block.number,
+        hash: block.hash,
+        timestamp: Number(block.timestamp),
+      }
+    : null;
+}
+
+// Fetch a block's hash from Hypersync, or null if it isn't available
+async function fetchBlockHash(client, blockNumber) {
+  return (await fetchBlockHeader(client, blockNumber))?.hash || null;
+}
+
+// Binary search for the last block at or before a unix timestamp
+async function findBlockAtTimestamp(client, timestamp, latestBlock) {
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const header = await fetchBlockHeader(client, mid);
+    if (!header) throw new Error(`Block ${mid} is not available`);
+
+    if (header.timestamp <= timestamp) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Walk back through the saved snapshots to the newest one still on the canonical
+// chain. Returns the snapshots up to and including it, or [] if none match.
+async function findCanonicalSnapshots(client, snapshots) {
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    const { blockNumber, blockHash } = snapshots[i];
+    try {
+      if ((await fetchBlockHash(client, blockNumber - 1)) === blockHash) {
+        return snapshots.slice(0, i + 1);
+      }
+    } catch (error) {
+      // Can't verify this snapshot, so don't trust it
+    }
+  }
+  return [];
+}
+
+// Decoder for every event the scan query selects
+const createScanDecoder = () =>
+  Decoder.fromSignatures([
+    "Transfer(address indexed from, address indexed to, uint256 amount)",
+    "Approval(address indexed owner, address indexed spender, uint256 amount)",
+    "ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+    "Approval(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration)",
+    "Permit(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration, uint48 nonce)",
+    "Lockdown(address indexed owner, address token, address spender)",
+    "NonceInvalidation(address indexed owner, address indexed token, address indexed spender, uint48 newNonce, uint48 oldNonce)",
+  ]);
+
+// Empty scan state for one owner on one chain
+const createOwnerScanState = () => ({
+  // Track approvals by token and spender, with the amount spent since each was set
+  // and the history of every approval and spend for the pair
+  approvals: {},
+  // Track NFT operator approvals by collection and operator
+  operatorApprovals: {},
+  // Track single NFT approvals by collection and tokenId
+  nftApprovals: {},
+  // Track Permit2 allowances by token and spender
+  permit2Allowances: {},
+});
+
+// A chain's scan state is keyed by owner; owners missing from a saved state start empty
+const createScanState = (savedState = {}) =>
+  Object.fromEntries(
+    TARGET_ADDRESSES.map((owner) => [
+      owner,
+      { ...createOwnerScanState(), ...savedState[owner] },
+    ])
+  );
+
+// Chains whose Hypersync endpoint has no trace data, so traces aren't queried again
+const chainsWithoutTraces = new Set();
+
+// Pair the owners' outgoing ERC20 transfers with the Approval a token emits when
+// transferFrom lowers the allowance. In the same transaction, it comes right
+// before the Transfer (OpenZeppelin 4) or right after it (OpenZeppelin 3).
+// Returns a map from each paired Approval's index to its Transfer's index.
+function pairSpendApprovals(logs, state) {
+  const pairs = new Map();
+
+  const isOwnerErc20Log = (log, topic0) =>
+    log?.topics?.[0] === topic0 &&
+    !isErc721TopicLayout(log) &&
+    Boolean(state[topicToAddress(log.topics[1])]);
+
+  logs.forEach((log, index) => {
+    if (!isOwnerErc20Log(log, TRANSFER_TOPIC)) return;
+
+    // Prefer the Approval before the Transfer, unless an earlier Transfer took it
+    const approvalIndex = [index - 1, index + 1].find((candidate) => {
+      const approval = logs[candidate];
+      return (
+        !pairs.has(candidate) &&
+        isOwnerErc20Log(approval, APPROVAL_TOPIC) &&
+        approval.transactionHash === log.transactionHash &&
+        approval.address.toLowerCase() === log.address.toLowerCase() &&
+        approval.topics[1].toLowerCase() === log.topics[1].toLowerCase() &&
+        Math.abs(approval.logIndex - log.logIndex) === 1
+      );
+    });
+    if (approvalIndex !== undefined) {
+      pairs.set(approvalIndex, index);
+    }
+  });
+
+  return pairs;
+}
+
+// The owners' outgoing ERC20 transfers that weren't paired with an Approval but
+// could still have spent an allowance: the owner approved the token at some point,
+// and the transfer isn't the owner's own call to the token
+function findUnpairedSpends(data, decodedLogs, state, pairedTransfers) {
+  // Owner and token of every approval in this batch
+  const approvedInBatch = new Set(
+    data.logs
+      .filter(
+        (log) => log.topics?.[0] === APPROVAL_TOPIC && !isErc721TopicLayout(log)
+      )
+      .map(
+        (log) => `${topicToAddress(log.topics[1])}:${log.address.toLowerCase()}`
+      )
+  );
+
+  return data.logs.flatMap((log, index) => {
+    if (
+      log.topics?.[0] !== TRANSFER_TOPIC ||
+      isErc721TopicLayout(log) ||
+      pairedTransfers.has(index)
+    ) {
+      return [];
+    }
+
+    const from = topicToAddress(log.topics[1]);
+    const token = log.address.toLowerCase();
+    if (
+      !state[from] ||
+      !(state[from].approvals[token] || approvedInBatch.has(`${from}:${token}`))
+    ) {
+      return [];
+    }
+
+    const transaction = data.transactions?.find(
+      (tx) => tx.hash === log.transactionHash
+    );
+    if (
+      transaction?.from?.toLowerCase() === from &&
+      transaction?.to?.toLowerCase() === token
+    ) {
+      return [];
+    }
+
+    return [
+      {
+        index,
+        token,
+        from,
+        to: topicToAddress(log.topics[2]),
+        amount: decodedLogs[index]?.body[0]?.val || BigInt(0),
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+      },
+    ];
+  });
+}
+
+// Check whether call data is transferFrom(from, to, amount) for a transfer
+const isTransferFromCall = (input, transfer) => {
+  if (!input?.startsWith(TRANSFER_FROM_SELECTOR)) return false;
+  try {
+    const { args } = decodeFunctionData({ abi: ERC20_ABI, data: input });
+    return (
+      args[0].toLowerCase() === transfer.from &&
+      args[1].toLowerCase() === transfer.to &&
+      args[2] === transfer.amount
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// Transfer blocks closer than this share one trace query
+const TRACE_RANGE_GAP = 100;
+
+// Per chain, the lowest block seen with trace data and the highest seen without.
+// Hypersync keeps traces from some height on, so these settle most blocks.
+const traceCoverage = new Map();
+
+// Whether Hypersync has traces for a block: any transaction leaves at least one
+async function hasTraceData(client, chainId, blockNumber) {
+  if (!traceCoverage.has(chainId)) {
+    traceCoverage.set(chainId, { from: null, before: null });
+  }
+  const coverage = traceCoverage.get(chainId);
+  if (coverage.from !== null && blockNumber >= coverage.from) return true;
+  if (coverage.before !== null && blockNumber <= coverage.before) return false;
+
+  const res = await client.get({
+    fromBlock: blockNumber,
+    toBlock: blockNumber + 1,
+    traces: [{}],
+    fieldSelection: { trace: [TraceField.BlockNumber] },
+    maxNumTraces: 1,
+  });
+  if ((res.data?.traces || []).length > 0) {
+    coverage.from = Math.min(coverage.from ?? blockNumber, blockNumber);
+    return true;
+  }
+  coverage.before = Math.max(coverage.before ?? blockNumber, blockNumber);
+  return false;
+}
+
+// Look up who called transferFrom for each transfer in the chain's call traces.
+// Returns transfer index -> spender, or null when the traces hold no matching
+// transferFrom. Transfers in blocks without trace data are left out. Throws when
+// a trace query fails for any reason other than the chain having no traces.
+async function traceTransferSpenders(client, chainId, transfers) {
+  const spenders = new Map();
+  if (transfers.length === 0 || chainsWithoutTraces.has(chainId)) {
+    return spenders;
+  }
+
+  const blocks = [
+    ...new Set(transfers.map((transfer) => transfer.blockNumber)),
+  ].sort((a, b) => a - b);
+  const txHashes = new Set(transfers.map((transfer) => transfer.txHash));
+  const traces = [];
+  let tracedBlocks;
+
+  try {
+    // Trace data covers the chain from some block on, so search for where it
+    // starts among the transfer blocks
+    let low = 0;
+    let high = blocks.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (await hasTraceData(client, chainId, blocks[mid])) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    tracedBlocks = blocks.slice(low);
+
+    // Query transferFrom calls into the tokens over short runs of those blocks,
+    // paged on nextBlock, keeping only the transfers' own transactions
+    let rangeStart = 0;
+    for (let i = 0; i < tracedBlocks.length; i++) {
+      const isRangeEnd =
+        i === tracedBlocks.length - 1 ||
+        tracedBlocks[i + 1] - tracedBlocks[i] > TRACE_RANGE_GAP;
+      if (!isRangeEnd) continue;
+
+      const fromBlock = tracedBlocks[rangeStart];
+      const toBlock = tracedBlocks[i] + 1;
+      const rangeTokens = transfers
+        .filter(
+          (transfer) =>
+            transfer.blockNumber >= fromBlock && transfer.blockNumber < toBlock
+        )
+        .map((transfer) => transfer.token);
+      const query = {
+        fromBlock,
+        toBlock,
+        traces: [
+          { to: [...new Set(rangeTokens)], sighash: [TRANSFER_FROM_SELECTOR] },
+        ],
+        fieldSelection: {
+          trace: [
+            TraceField.From,
+            TraceField.To,
+            TraceField.Input,
+            TraceField.TransactionHash,
+            TraceField.Error,
+          ],
+        },
+      };
+      while (query.fromBlock < toBlock) {
+        const res = await client.get(query);
+        for (const trace of res.data?.traces || []) {
+          if (txHashes.has(trace.transactionHash)) traces.push(trace);
+        }
+        if (!res.nextBlock || res.nextBlock <= query.fromBlock) break;
+        query.fromBlock = res.nextBlock;
+      }
+      rangeStart = i + 1;
+    }
+  } catch (error) {
+    if (!isTracesUnsupportedError(error)) throw error;
+    chainsWithoutTraces.add(chainId);
+    return spenders;
+  }
+
+  // Match each transfer to its own call, so equal transfers in one transaction
+  // each get one
+  const tracedBlockSet = new Set(tracedBlocks);
+  const matched = new Set();
+  for (const transfer of transfers) {
+    if (!tracedBlockSet.has(transfer.blockNumber)) continue;
+
+    const traceIndex = traces.findIndex(
+      (trace, index) =>
+        !matched.has(index) &&
+        !trace.error &&
+        trace.transactionHash === transfer.txHash &&
+        trace.to?.toLowerCase() === transfer.token &&
+        isTransferFromCall(trace.input, transfer)
+    );
+    if (traceIndex === -1) {
+      spenders.set(transfer.index, null);
+    } else {
+      matched.add(traceIndex);
+      spenders.set(transfer.index, traces[traceIndex].from.toLowerCase());
+    }
+  }
+
+  return spenders;
+}
+
+// Whether Hypersync refused a trace query because the chain has no trace data
+const isTracesUnsupportedError = (error) =>
+  /trace/i.test(error?.message) &&
+  /not (supported|available|enabled)|unsupported|disabled/i.test(error.message);
+
+// Apply one batch of streamed logs to a chain's scan state
+async function applyScanBatch(chainId, res, decoder, state, client) {
+  const stats = chainStats[chainId];
+
+  stats.totalEvents += res.data.logs.length;
+
+  // Decode logs
+  const decodedLogs = await decoder.decodeLogs(res.data.logs);
+
+  // Block times, keyed by block number, for the approval history
+  const blockTimestamps = new Map(
+    (res.data.blocks || []).map((block) => [
+      block.number,
+      Number(block.timestamp),
+    ])
+  );
+
+  // Find the spender behind each of the owners' transfers: the Approval a token
+  // emits for the allowance decrease, else the transferFrom call in the traces
+  const spendApprovals = pairSpendApprovals(res.data.logs, state);
+  const pairedTransfers = new Set(spendApprovals.values());
+  let tracedSpenders = new Map();
+  try {
+    tracedSpenders = await traceTransferSpenders(
+      client,
+      chainId,
+      findUnpairedSpends(res.data, decodedLogs, state, pairedTransfers)
+    );
+  } catch (error) {
+    // This batch falls back to the transaction sender. Counted as a scan error
+    // so the weaker attribution isn't checkpointed
+    stats.traceErrors = (stats.traceErrors || 0) + 1;
+  }
+
+  // Process ERC20 events
+  for (let i = 0; i < decodedLogs.length; i++) {
+    const log = decodedLogs[i];
+
+    try {
+      // Get the original raw log and transaction
+      const rawLog = res.data.logs[i];
+      if (!rawLog || !rawLog.topics || !rawLog.topics[0]) continue;
+
+      const topic0 = rawLog.topics[0];
+      const tokenAddress = rawLog.address.toLowerCase();
+
+      // Find corresponding transaction for this log
+      const txHash = rawLog.transactionHash;
+      const transaction = res.data.transactions?.find(
+        (tx) => tx.hash === txHash
+      );
+      const txSender = transaction?.from?.toLowerCase() || null;
+
+      // Where and when this log happened, for the approval history and revocations
+      const historyEntry = {
+        blockNumber: rawLog.blockNumber,
+        timestamp: blockTimestamps.get(rawLog.blockNumber) ?? null,
+        txHash,
+      };
+
+      // ERC721 Approval/Transfer share topic0 with ERC20 but also index the tokenId
+      if (
+        isErc721TopicLayout(rawLog) &&
+        (topic0 === APPROVAL_TOPIC || topic0 === TRANSFER_TOPIC)
+      ) {
+        const from = topicToAddress(rawLog.topics[1]);
+        const to = topicToAddress(rawLog.topics[2]);
+        const tokenId = BigInt(rawLog.topics[3]).toString();
+
+        // Only the owners' approvals and outgoing transfers matter here
+        if (!state[from]) continue;
+        const { nftApprovals } = state[from];
+
+        if (topic0 === APPROVAL_TOPIC && to !== ZERO_ADDRESS) {
+          // Initialize collection in NFT approvals map if needed
+          if (!nftApprovals[tokenAddress]) {
+            nftApprovals[tokenAddress] = {};
+          }
+
+          // A tokenId has at most one approved address, so overwrite it
+          nftApprovals[tokenAddress][tokenId] = {
+            spender: to,
+            blockNumber: rawLog.blockNumber,
+            timestamp: historyEntry.timestamp,
+            txHash,
+          };
+        } else if (topic0 === APPROVAL_TOPIC) {
+          // Approval to the zero address revokes it; keep it for history mode
+          if (nftApprovals[tokenAddress]?.[tokenId]) {
+            nftApprovals[tokenAddress][tokenId].revokedBy = historyEntry;
+          }
+        } else if (nftApprovals[tokenAddress]) {
+          // A transfer clears the tokenId approval
+          delete nftApprovals[tokenAddress][tokenId];
+        }
+        continue;
+      }
+
+      // Skip logs that could not be decoded
+      if (log === null || log === undefined) continue;
+
+      if (topic0 === APPROVAL_TOPIC) {
+        // Get owner and spender from indexed parameters
+        const owner = log.indexed[0]?.val.toString().toLowerCase() || "";
+        const spender = log.indexed[1]?.val.toString().toLowerCase() || "";
+        const amount = log.body[0]?.val || BigInt(0);
+
+        // Only track approvals where a target address is the owner
+        if (state[owner]) {
+          const { approvals } = state[owner];
+
+          // Initialize token in approvals map if needed
+          if (!approvals[tokenAddress]) {
+            approvals[tokenAddress] = {};
+          }
+
+          // A spend's Approval only lowers the allowance: keep the approval it
+          // spends from and count the difference as used
+          const previous = approvals[tokenAddress][spender];
+          if (
+            spendApprovals.has(i) &&
+            previous &&
+            amount <= previous.amount - previous.used
+          ) {
+            previous.history.push({
+              type: "spend",
+              amount: previous.amount - previous.used - amount,
+              ...historyEntry,
+            });
+            previous.used = previous.amount - amount;
+            continue;
+          }
+
+          // Store latest approval with block number for chronological ordering,
+          // keeping the pair's history
+          approvals[tokenAddress][spender] = {
+            amount,
+            used: BigInt(0),
+            blockNumber: rawLog.blockNumber,
+            txHash,
+            history: [
+              ...(previous?.history || []),
+              { type: "approval", amount, ...historyEntry },
+            ],
+          };
+        }
+      } else if (topic0 === APPROVAL_FOR_ALL_TOPIC) {
+        // Get owner and operator from indexed parameters
+        const owner = log.indexed[0]?.val.toString().toLowerCase() || "";
+        const operator = log.indexed[1]?.val.toString().toLowerCase() || "";
+        const approved = log.body[0]?.val === true;
+
+        // Only track operator approvals where a target address is the owner
+        if (state[owner]) {
+          const { operatorApprovals } = state[owner];
+
+          if (approved) {
+            // Initialize collection in operator approvals map if needed
+            if (!operatorApprovals[tokenAddress]) {
+              operatorApprovals[tokenAddress] = {};
+            }
+
+            // Store latest grant for this collection and operator
+            operatorApprovals[tokenAddress][operator] = {
+              blockNumber: rawLog.blockNumber,
+              timestamp: historyEntry.timestamp,
+              txHash,
+            };
+          } else if (operatorApprovals[tokenAddress]?.[operator]) {
+            // Operator was revoked; keep it for history mode
+            operatorApprovals[tokenAddress][operator].revokedBy = historyEntry;
+          }
+        }
+      } else if (
+        tokenAddress === PERMIT2_ADDRESS &&
+        topic0ToName[topic0]?.startsWith("Permit2.")
+      ) {
+        // Permit2 events carry the token as a param, the log address is Permit2 itself
+        const owner = log.indexed[0]?.val.toString().toLowerCase() || "";
+        if (!state[owner]) continue;
+        const { permit2Allowances } = state[owner];
+
+        // Lockdown has token and spender in the body, the others index them
+        const isLockdown = topic0 === PERMIT2_LOCKDOWN_TOPIC;
+        const token = (isLockdown ? log.body[0]?.val : log.indexed[1]?.val)
+          ?.toString()
+          .toLowerCase();
+        const spender = (isLockdown ? log.body[1]?.val : log.indexed[2]?.val)
+          ?.toString()
+          .toLowerCase();
+        if (!token || !spender) continue;
+
+        if (
+          topic0 === PERMIT2_APPROVAL_TOPIC ||
+          topic0 === PERMIT2_PERMIT_TOPIC
+        ) {
+          // Initialize token in Permit2 allowances map if needed
+          if (!permit2Allowances[token]) {
+            permit2Allowances[token] = {};
+          }
+
+          // Both overwrite amount and expiration; a permit also consumes its nonce.
+          // A zero amount revokes an existing allowance
+          const previous = permit2Allowances[token][spender];
+          const amount = log.body[0]?.val || BigInt(0);
+          permit2Allowances[token][spender] = {
+            amount,
+            expiration: Number(log.body[1]?.val || 0),
+            nonce:
+              topic0 === PERMIT2_PERMIT_TOPIC
+                ? Number(log.body[2]?.val || 0) + 1
+                : previous?.nonce || 0,
+            blockNumber: rawLog.blockNumber,
+            timestamp: historyEntry.timestamp,
+            txHash,
+            ...(amount === BigInt(0) && previous
+              ? { revokedBy: historyEntry }
+              : {}),
+          };
+        } else if (isLockdown) {
+          // Lockdown zeroes the allowance; keep it for history mode
+          if (permit2Allowances[token]?.[spender]) {
+            permit2Allowances[token][spender].revokedBy = historyEntry;
+          }
+        } else if (permit2Allowances[token]?.[spender]) {
+          // Nonce invalidation only kills pending signatures, not the allowance
+          permit2Allowances[token][spender].nonce = Number(
+            log.body[0]?.val || 0
+          );
+        }
+      } else if (topic0 === TRANSFER_TOPIC) {
+        // Get from and amount from the log
+        const from = log.indexed[0]?.val.toString().toLowerCase() || "";
+        const amount = log.body[0]?.val || BigInt(0);
+
+        // Transfers paired with an Approval were counted by that Approval
+        if (!state[from] || pairedTransfers.has(i)) continue;
+        const { approvals } = state[from];
+
+        // Without trace data, fall back to the transaction: its sender when that
+        // isn't the owner, otherwise the contract the owner called
+        const spender = tracedSpenders.has(i)
+          ? tracedSpenders.get(i)
+          : txSender && txSender !== from
+          ? txSender
+          : transaction?.to?.toLowerCase();
+
+        // Count the spend against that spender's current approval
+        const approval = spender && approvals[tokenAddress]?.[spender];
+        if (approval) {
+          approval.used += amount;
+          approval.history.push({ type: "spend", amount, ...historyEntry });
+        }
+      }
+    } catch (error) {
+      // Silently ignore errors to prevent crashing
+    }
+  }
+}
+
+// Describe and reset the trace lookups that failed on a chain since the last call,
+// or null if none did
+function takeTraceErrors(chainId) {
+  const stats = chainStats[chainId];
+  const count = stats.traceErrors || 0;
+  stats.traceErrors = 0;
+  if (count === 0) return null;
+
+  return `Trace lookups failed on chain ${chainId} (${count} batch${
+    count === 1 ? "" : "es"
+  }), spends attributed by transaction sender`;
+}
+
 // Function to scan a single chain
 async function scanChain(chainId) {
   // Initialize per-chain stats (should already be initialized in main)
@@ -1656,20 +6579,50 @@ async function scanChain(chainId) {
   });
 
   // Create decoder for events
-  const decoder = Decoder.fromSignatures([
-    "Transfer(address indexed from, address indexed to, uint256 amount)",
-    "Approval(address indexed owner, address indexed spender, uint256 amount)",
-  ]);
+  const decoder = createScanDecoder();
+
+  // Pick up the state saved by the last run, unless a full rescan was requested.
+  // Snapshots whose block hash no longer matches the chain were reorged away.
+  // Historical scans can only resume from snapshots before their cut-off
+  const cutoffEnd =
+    stats.cutoffBlock === undefined ? null : stats.cutoffBlock + 1;
+  const savedSnapshots = (loadCheckpoint(chainId)?.snapshots || []).filter(
+    (snapshot) => cutoffEnd === null || snapshot.blockNumber < cutoffEnd
+  );
+  const snapshots = await findCanonicalSnapshots(client, savedSnapshots);
+  const resumeSnapshot = snapshots[snapshots.length - 1];
+  const state = createScanState(structuredClone(resumeSnapshot?.state || {}));
+  const startBlock = resumeSnapshot?.blockNumber || 0;
+  if (resumeSnapshot) {
+    stats.resumedFrom = startBlock;
+  }
+  if (snapshots.length < savedSnapshots.length) {
+    stats.rolledBackFrom =
+      savedSnapshots[savedSnapshots.length - 1].blockNumber;
+  }
 
-  // Track approvals by token and spender
-  const approvals = {};
-  const transfersUsingApprovals = {};
+  // Only state below the confirmation depth is checkpointed, so stream that range
+  // first, snapshot it, then stream the unconfirmed tip
+  const confirmedHeight = Math.max(
+    startBlock,
+    stats.height - getConfirmationDepth(chainId)
+  );
+  let confirmedState = null;
+  let confirmedHash = null;
 
-  let query = createQuery(0);
+  let query = createQuery(startBlock);
+  if (confirmedHeight > startBlock) {
+    query.toBlock = confirmedHeight;
+  } else {
+    confirmedState = structuredClone(state);
+    if (cutoffEnd !== null) query.toBlock = cutoffEnd;
+  }
   let lastOutputTime = Date.now();
+  // A batch that failed to process would leave a gap, so don't checkpoint past it
+  let hadErrors = false;
 
   // Start streaming events
-  const stream = await client.stream(query, {});
+  let stream = await client.stream(query, {});
 
   while (true) {
     try {
@@ -1677,6 +6630,15 @@ async function scanChain(chainId) {
 
       // Exit if we've reached the end of the chain
       if (res === null) {
+        if (!confirmedState) {
+          // Confirmed range done: snapshot it and carry on to the tip
+          confirmedState = structuredClone(state);
+          // Historical scans stop at the cut-off instead of the tip
+          query = createQuery(confirmedHeight);
+          if (cutoffEnd !== null) query.toBlock = cutoffEnd;
+          stream = await client.stream(query, {});
+          continue;
+        }
         break;
       }
 
@@ -1685,99 +6647,17 @@ async function scanChain(chainId) {
         stats.lastBlockSeen = res.nextBlock;
       }
 
+      // Record the hash of the last confirmed block when the stream reports it
+      if (
+        !confirmedState &&
+        res.rollbackGuard?.blockNumber === confirmedHeight - 1
+      ) {
+        confirmedHash = res.rollbackGuard.hash;
+      }
+
       // Process events
       if (res.data && res.data.logs) {
-        stats.totalEvents += res.data.logs.length;
-
-        // Decode logs
-        const decodedLogs = await decoder.decodeLogs(res.data.logs);
-
-        // Process ERC20 events
-        for (let i = 0; i < decodedLogs.length; i++) {
-          const log = decodedLogs[i];
-          if (log === null) continue;
-
-          try {
-            // Get the original raw log and transaction
-            const rawLog = res.data.logs[i];
-            if (!rawLog || !rawLog.topics || !rawLog.topics[0]) continue;
-
-            const topic0 = rawLog.topics[0];
-            const tokenAddress = rawLog.address.toLowerCase();
-
-            // Find corresponding transaction for this log
-            const txHash = rawLog.transactionHash;
-            const transaction = res.data.transactions?.find(
-              (tx) => tx.hash === txHash
-            );
-            const txSender = transaction?.from?.toLowerCase() || null;
-
-            if (topic0 === APPROVAL_TOPIC) {
-              // Get owner and spender from indexed parameters
-              const owner = log.indexed[0]?.val.toString().toLowerCase() || "";
-              const spender =
-                log.indexed[1]?.val.toString().toLowerCase() || "";
-              const amount = log.body[0]?.val || BigInt(0);
-
-              // Only track approvals where the target address is the owner
-              if (owner === TARGET_ADDRESS.toLowerCase()) {
-                // Initialize token in approvals map if needed
-                if (!approvals[tokenAddress]) {
-                  approvals[tokenAddress] = {};
-                }
-
-                // Store latest approval with block number for chronological ordering
-                approvals[tokenAddress][spender] = {
-                  amount,
-                  blockNumber: rawLog.blockNumber,
-                  txHash,
-                };
-              }
-            } else if (topic0 === TRANSFER_TOPIC) {
-              // Get from and to from indexed parameters
-              const from = log.indexed[0]?.val.toString().toLowerCase() || "";
-              const to = log.indexed[1]?.val.toString().toLowerCase() || "";
-              const amount = log.body[0]?.val || BigInt(0);
-
-              // Track transfers where the target has approved a spender (from = target, to = any)
-              if (from === TARGET_ADDRESS.toLowerCase()) {
-                // Initialize token in transfers map if needed
-                if (!transfersUsingApprovals[tokenAddress]) {
-                  transfersUsingApprovals[tokenAddress] = {};
-                }
-
-                // Check two cases:
-                // 1. Transaction initiated by spender (typical approval usage)
-                // 2. Transaction initiated by owner but sent to a contract with approval
-                const isSpenderInitiated =
-                  txSender && txSender !== from.toLowerCase();
-                const isOwnerInitiatedToSpender =
-                  txSender === from.toLowerCase() && transaction?.to;
-
-                if (isSpenderInitiated) {
-                  // Track against the transaction sender (spender)
-                  if (!transfersUsingApprovals[tokenAddress][txSender]) {
-                    transfersUsingApprovals[tokenAddress][txSender] = BigInt(0);
-                  }
-                  transfersUsingApprovals[tokenAddress][txSender] += amount;
-                } else if (isOwnerInitiatedToSpender) {
-                  // When owner initiates a transaction to a spender
-                  const txTo = transaction.to.toLowerCase();
-
-                  // Check if txTo is an approved spender
-                  if (approvals[tokenAddress]?.[txTo]) {
-                    if (!transfersUsingApprovals[tokenAddress][txTo]) {
-                      transfersUsingApprovals[tokenAddress][txTo] = BigInt(0);
-                    }
-                    transfersUsingApprovals[tokenAddress][txTo] += amount;
-                  }
-                }
-              }
-            }
-          } catch (error) {
-            // Silently ignore errors to prevent crashing
-          }
-        }
+        await applyScanBatch(chainId, res, decoder, state, client);
       }
 
       // Update query for next batch
@@ -1800,6 +6680,7 @@ async function scanChain(chainId) {
       }
     } catch (error) {
       // Log error but continue processing
+      hadErrors = true;
       console.error(
         chalk.red(`Error processing chain ${chainId}: ${error.message}`)
       );
@@ -1808,11 +6689,38 @@ async function scanChain(chainId) {
 
   // Processing complete
   stats.endTime = performance.now() - stats.startTime;
+  const traceErrorMessage = takeTraceErrors(chainId);
+  if (traceErrorMessage) {
+    hadErrors = true;
+    console.error(chalk.yellow(traceErrorMessage));
+  }
+  stats.hadErrors = hadErrors;
+
+  // Remember the confirmed state and its block hash so the next run resumes there.
+  // Historical scans leave the checkpoints alone so newer snapshots aren't lost.
+  if (cutoffEnd === null && !hadErrors && confirmedHeight > startBlock) {
+    try {
+      confirmedHash =
+        confirmedHash || (await fetchBlockHash(client, confirmedHeight - 1));
+    } catch (error) {
+      confirmedHash = null;
+    }
+    if (confirmedHash) {
+      snapshots.push({
+        blockNumber: confirmedHeight,
+        blockHash: confirmedHash,
+        state: confirmedState,
+      });
+    }
+  }
+  if (cutoffEnd === null && !hadErrors && snapshots.length > 0) {
+    saveCheckpoint(chainId, snapshots);
+  }
 
   // Ensure progress is 100% when complete
   stats.progressBar = drawProgressBar(1.0, 40, colorName);
 
-  return { approvals, transfersUsingApprovals };
+  return state;
 }
 
 // Run the main function with error handling